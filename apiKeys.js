@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ApiKey = require('./models/ApiKey');
+const { createApiKey } = require('./services/tokens');
+const authMiddleware = require('./middleware/authMiddleware');
+const { sessionOnly } = authMiddleware;
+
+// Keys are managed from a login session, never with another key
+router.use(authMiddleware.required, sessionOnly);
+
+// Never includes the key or its hash
+function serializeApiKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt || null,
+    lastUsedAt: apiKey.lastUsedAt || null,
+    createdAt: apiKey.createdAt
+  };
+}
+
+function parseApiKeyInput(body) {
+  const { name, scopes, expiresAt } = body;
+  if (!name) throw new Error('Missing name');
+  
+  if (!Array.isArray(scopes) || !scopes.length) {
+    throw new Error(`scopes must be a list of ${ApiKey.SCOPES.join(', ')}`);
+  }
+  const unknown = scopes.filter(scope => !ApiKey.SCOPES.includes(scope));
+  if (unknown.length) {
+    throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+  }
+  
+  let expiry;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime())) throw new Error('expiresAt must be a date');
+    if (expiry <= new Date()) throw new Error('expiresAt must be in the future');
+  }
+  
+  return { name, scopes: [...new Set(scopes)], expiresAt: expiry };
+}
+
+// GET /api/keys
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json(apiKeys.map(serializeApiKey));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/keys - the response is the only time the key is shown
+router.post('/', async (req, res) => {
+  let fields;
+  try {
+    fields = parseApiKeyInput(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  try {
+    const { apiKey, key } = await createApiKey(req.user, fields);
+    res.status(201).json({ ...serializeApiKey(apiKey), key });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/keys/:id - revoke a key
+router.delete('/:id', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  
+  try {
+    const apiKey = await ApiKey.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,45 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('./models/User');
+const authMiddleware = require('./middleware/authMiddleware');
+const { sessionOnly } = authMiddleware;
+const { parseScanOptions, resolveScanOptions } = require('./services/scanOptions');
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  createAccountToken,
+  consumeAccountToken
+} = require('./services/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('./services/mailer');
+const { findBlockingOrganizations, deleteAccount } = require('./services/accountDeletion');
+const { getScanQuota } = require('./services/scanQuota');
+const { authLimiter } = require('./middleware/rateLimit');
 
-// Environment variable for JWT secret
-const JWT_SECRET = process.env.JWT_SECRET || 'your-jwt-secret-key';
+const MIN_PASSWORD_LENGTH = 6;
+
+function serializeUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    emailVerified: user.emailVerified
+  };
+}
+
+// Mail problems shouldn't fail the request that triggered the mail
+async function sendVerification(user) {
+  try {
+    const token = await createAccountToken(user, 'verify-email');
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Verification email error:', error.message);
+  }
+}
 
 // Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', authLimiter, async (req, res) => {
   try {
     const { name, email, password } = req.body;
     
@@ -25,22 +57,13 @@ router.post('/register', async (req, res) => {
     });
     
     await user.save();
+    await sendVerification(user);
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      JWT_SECRET,
-      { expiresIn: '30d' }
-    );
-    
-    // Return user data (without password) and token
+    // Return user data (without password) and tokens
+    const session = await issueSession(user, { userAgent: req.get('User-Agent') });
     res.status(201).json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email
-      }
+      ...session,
+      user: serializeUser(user)
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -49,7 +72,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login user
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -65,21 +88,11 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      JWT_SECRET,
-      { expiresIn: '30d' }
-    );
-    
-    // Return user data (without password) and token
+    // Return user data (without password) and tokens
+    const session = await issueSession(user, { userAgent: req.get('User-Agent') });
     res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email
-      }
+      ...session,
+      user: serializeUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -87,31 +100,224 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token and refresh token.
+// The old refresh token stops working.
+router.post('/refresh', authLimiter, async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Missing refreshToken' });
+  }
+  
+  try {
+    const rotated = await rotateRefreshToken(refreshToken);
+    const user = rotated && await User.findById(rotated.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+    
+    const session = await issueSession(user, { family: rotated.family, userAgent: req.get('User-Agent') });
+    res.json(session);
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// Log out this session by revoking its refresh token. The access token
+// remains valid until it expires.
+router.post('/logout', async (req, res) => {
+  try {
+    if (req.body.refreshToken) {
+      await revokeRefreshToken(req.body.refreshToken);
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Log out every session, revoking all refresh and access tokens
+router.post('/logout-all', authMiddleware.required, sessionOnly, async (req, res) => {
+  try {
+    await revokeAllRefreshTokens(req.user);
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
 // Get current user
-router.get('/me', async (req, res) => {
+router.get('/me', authMiddleware.required, (req, res) => {
+  res.json({
+    ...serializeUser(req.user),
+    scanDefaults: req.user.scanDefaults,
+    scanQuota: getScanQuota(req.user)
+  });
+});
+
+// Delete the account and the user's own scans, monitors and profiles
+router.delete('/me', authMiddleware.required, sessionOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+    if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+    
+    const blocking = await findBlockingOrganizations(user);
+    if (blocking.length) {
+      return res.status(409).json({
+        message: `Transfer ownership of ${blocking.map(org => org.name).join(', ')} before deleting your account`
+      });
+    }
+    
+    const deleted = await deleteAccount(user);
+    res.json({ deleted });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting the account' });
+  }
+});
+
+// Change the password. Other sessions are logged out; the response carries
+// new tokens for this one.
+router.put('/password', authMiddleware.required, sessionOnly, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  
   try {
-    // Get token from header
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ message: 'No authentication token provided' });
+    const user = await User.findById(req.user._id).select('+password');
+    if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
     }
     
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.id);
+    user.password = newPassword;
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    await revokeAllRefreshTokens(user);
     
+    res.json(await issueSession(user, { userAgent: req.get('User-Agent') }));
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ message: 'Server error while changing the password' });
+  }
+});
+
+// Mail a password reset link. Always answers the same way so the endpoint
+// can't be used to find out which emails are registered.
+router.post('/password/forgot', authLimiter, async (req, res) => {
+  const email = String(req.body.email || '').trim().toLowerCase();
+  if (!email) {
+    return res.status(400).json({ message: 'Missing email' });
+  }
+  
+  try {
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = await createAccountToken(user, 'password-reset');
+      await sendPasswordResetEmail(user, token);
+    }
+    res.status(202).json({ message: 'If the email is registered, a reset link is on its way' });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ message: 'Server error while requesting a password reset' });
+  }
+});
+
+// Set a new password with the token from the reset email. Logs out every session.
+router.post('/password/reset', authLimiter, async (req, res) => {
+  const { token, password } = req.body;
+  if (!token) {
+    return res.status(400).json({ message: 'Missing token' });
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  
+  try {
+    const userId = await consumeAccountToken(token, 'password-reset');
+    const user = userId && await User.findById(userId);
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
     }
     
+    user.password = password;
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    // The reset link proves access to the mailbox
+    user.emailVerified = true;
+    await user.save();
+    await revokeAllRefreshTokens(user);
+    
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Server error while resetting the password' });
+  }
+});
+
+// Confirm the email address with the token from the verification email
+router.post('/verify-email', authLimiter, async (req, res) => {
+  if (!req.body.token) {
+    return res.status(400).json({ message: 'Missing token' });
+  }
+  
+  try {
+    const userId = await consumeAccountToken(req.body.token, 'verify-email');
+    const user = userId && await User.findByIdAndUpdate(userId, { emailVerified: true }, { new: true });
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+    
+    res.json({ user: serializeUser(user) });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error while verifying the email' });
+  }
+});
+
+// Send a new verification email
+router.post('/verify-email/resend', authMiddleware.required, sessionOnly, async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.status(409).json({ message: 'Email is already verified' });
+  }
+  
+  await sendVerification(req.user);
+  res.status(202).json({ message: 'Verification email sent' });
+});
+
+// Get the current user's default scan options, and the options a scan
+// without any overrides would run with
+router.get('/scan-defaults', authMiddleware.required, sessionOnly, (req, res) => {
+  res.json({
+    scanDefaults: req.user.scanDefaults || {},
+    effective: resolveScanOptions(undefined, req.user)
+  });
+});
+
+// Replace the current user's default scan options
+router.put('/scan-defaults', authMiddleware.required, sessionOnly, async (req, res) => {
+  let scanDefaults;
+  try {
+    scanDefaults = parseScanOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  
+  try {
+    req.user.scanDefaults = scanDefaults;
+    await req.user.save();
+    
     res.json({
-      id: user._id,
-      name: user.name,
-      email: user.email
+      scanDefaults,
+      effective: resolveScanOptions(undefined, req.user)
     });
   } catch (error) {
-    console.error('Auth error:', error);
-    res.status(401).json({ message: 'Invalid authentication token' });
+    console.error('Scan defaults error:', error);
+    res.status(500).json({ message: 'Server error while saving scan defaults' });
   }
 });
 
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const ScanResult = require('./models/ScanResult');
+const ScanJob = require('./models/ScanJob');
+const ScanProfile = require('./models/ScanProfile');
+const jobQueue = require('./services/jobQueue');
+const { resolveScanOptions } = require('./services/scanOptions');
+const { UrlPolicyError, loadUrlPolicy, checkTargetUrl } = require('./services/urlPolicy');
+const { parseGate, evaluateGate, renderJUnit } = require('./services/ciGate');
+const { hasScanQuota } = require('./services/scanQuota');
+const authMiddleware = require('./middleware/authMiddleware');
+const { requireScope } = authMiddleware;
+const { requireRole, requireProjectRole } = require('./middleware/roleMiddleware');
+const { scanLimiter } = require('./middleware/rateLimit');
+
+// Longest a request may wait for its scan to finish
+const MAX_WAIT_SECONDS = 120;
+
+router.use(authMiddleware.required);
+
+// Send the verdict as JSON, or as JUnit XML with ?format=junit
+function sendVerdict(req, res, result) {
+  res.set('X-Gate-Result', result.passed ? 'pass' : 'fail');
+  if (req.query.format === 'junit') {
+    return res.type('application/xml').send(renderJUnit(result));
+  }
+  res.json(result);
+}
+
+// Verdict for a finished job, or null while it is still queued or running
+async function verdictForJob(job) {
+  if (job.status === 'failed') {
+    return {
+      passed: false,
+      reasons: [`Scan failed: ${job.error}`],
+      scan: { id: null, url: job.payload.url, createdAt: job.createdAt },
+      score: null,
+      suppressed: 0,
+      checks: [{ name: 'scan', passed: false, message: `Scan failed: ${job.error}`, issues: [] }]
+    };
+  }
+  if (job.status !== 'done') return null;
+  
+  const scan = await ScanResult.findById(job.result).lean();
+  if (!scan) {
+    throw new Error('Scan result no longer exists');
+  }
+  return evaluateGate(scan, job.payload.gate);
+}
+
+function pendingResponse(res, job) {
+  res.status(202)
+    .location(`/api/ci/gate/${job._id}`)
+    .json({ id: job._id, status: job.status, progress: job.progress, progressMessage: job.progressMessage });
+}
+
+// POST /api/ci/gate
+// Scan `url` and judge it against pass/fail thresholds. Waits up to `wait`
+// seconds for the verdict; otherwise answers 202 with a job to poll.
+router.post('/gate', requireScope('scan:write'), scanLimiter, requireProjectRole('member'), async (req, res) => {
+  const { url, profileId } = req.body;
+  if (!url) return res.status(400).json({ error: 'Missing URL' });
+  const wait = Math.min(Math.max(Number(req.body.wait) || 0, 0), MAX_WAIT_SECONDS);
+  
+  let target;
+  try {
+    target = await checkTargetUrl(url, await loadUrlPolicy(req.project));
+  } catch (err) {
+    return res.status(err instanceof UrlPolicyError ? 400 : 500).json({ error: err.message });
+  }
+  
+  let gate;
+  let options;
+  try {
+    gate = parseGate(req.body.gate);
+    options = resolveScanOptions(req.body.options, req.user);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  if (!hasScanQuota(req.user)) {
+    return res.status(403).json({ error: 'Monthly scan quota exceeded' });
+  }
+  
+  try {
+    if (profileId && !(await ScanProfile.findForUser(profileId, req.user))) {
+      return res.status(400).json({ error: 'Unknown scan profile' });
+    }
+    
+    let job = await jobQueue.enqueue('page', { url: target, options, profileId, gate }, {
+      user: req.user._id,
+      project: req.project ? req.project._id : null
+    });
+    if (wait) {
+      job = await jobQueue.waitForJob(job._id, wait * 1000);
+    }
+    
+    const result = await verdictForJob(job);
+    if (!result) return pendingResponse(res, job);
+    sendVerdict(req, res, result);
+  } catch (err) {
+    console.error('CI gate error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/ci/gate/scans/:id - judge an existing scan right away
+router.post('/gate/scans/:id',
+  requireScope('history:read'),
+  requireRole('viewer', req => ScanResult.findById(req.params.id).lean(), { notFound: 'Scan not found' }),
+  (req, res) => {
+    let gate;
+    try {
+      gate = parseGate(req.body.gate);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    
+    sendVerdict(req, res, evaluateGate(req.resource, gate));
+  }
+);
+
+// GET /api/ci/gate/:id[?format=junit] - verdict of a queued gate scan
+router.get('/gate/:id',
+  requireScope('scan:write', 'history:read'),
+  requireRole('viewer', req => ScanJob.findOne({ _id: req.params.id, 'payload.gate': { $exists: true } }), { notFound: 'Gate job not found' }),
+  async (req, res) => {
+    try {
+      const result = await verdictForJob(req.resource);
+      if (!result) return pendingResponse(res, req.resource);
+      sendVerdict(req, res, result);
+    } catch (err) {
+      console.error('CI gate error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
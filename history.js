@@ -1,19 +1,191 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const ScanResult = require('./models/ScanResult');
 const authMiddleware = require('./middleware/authMiddleware');
+const { requireScope } = authMiddleware;
+const { requireProjectRole } = require('./middleware/roleMiddleware');
+const { normalizeTargetUrl } = require('./services/urlPolicy');
 
-// Apply auth middleware to all history routes
-router.use(authMiddleware);
+// Apply auth middleware to all history routes. With `projectId` the history
+// of that project is listed instead of the user's own scans.
+router.use(authMiddleware.required, requireScope('history:read'), requireProjectRole('viewer'));
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_TREND_POINTS = 500;
+
+// Opaque cursor pointing just after the last scan of a page
+function encodeCursor(scan) {
+  return Buffer.from(`${scan.createdAt.toISOString()}_${scan._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('_');
+  const date = new Date(createdAt);
+  if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+    throw new Error('Invalid cursor');
+  }
+  return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`${name} must be a date`);
+  return date;
+}
+
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (Number.isNaN(number)) throw new Error(`${name} must be a number`);
+  return number;
+}
+
+// Repeated or bracketed query parameters arrive as arrays or objects, which
+// would become query operators
+function parseString(value, name) {
+  if (typeof value !== 'string') throw new Error(`${name} must be a single value`);
+  return value;
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build the MongoDB query shared by the list and trend endpoints
+function buildHistoryQuery(req) {
+  const { url, domain, from, to, minScore, maxScore, hasForm, code, source } = req.query;
+  
+  // Filter by project, or by user
+  const query = req.project ? { project: req.project._id } : { user: req.user._id };
+  
+  // Normalized the way scan targets are stored
+  if (url) query.url = normalizeTargetUrl(parseString(url, 'url')).toString();
+  
+  // Matches the domain itself and its subdomains
+  if (domain) {
+    const host = String(domain).toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+    query.hostname = new RegExp(`(^|\\.)${escapeRegExp(host)}$`);
+  }
+  
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = parseDate(from, 'from');
+    if (to) query.createdAt.$lte = parseDate(to, 'to');
+  }
+  
+  if (minScore !== undefined || maxScore !== undefined) {
+    query.score = {};
+    if (minScore !== undefined) query.score.$gte = parseNumber(minScore, 'minScore');
+    if (maxScore !== undefined) query.score.$lte = parseNumber(maxScore, 'maxScore');
+  }
+  
+  if (hasForm !== undefined) {
+    if (!['true', 'false'].includes(hasForm)) throw new Error('hasForm must be true or false');
+    query.hasForm = hasForm === 'true';
+  }
+  
+  // Live URLs or uploads. Scans stored before uploads existed have no source.
+  if (source) {
+    if (!ScanResult.SOURCE_KINDS.includes(source)) {
+      throw new Error(`source must be one of ${ScanResult.SOURCE_KINDS.join(', ')}`);
+    }
+    query['source.kind'] = source === 'url' ? { $in: ['url', null] } : source;
+  }
+  
+  // Exact issue code, or a prefix when it ends with "*"
+  if (code) {
+    parseString(code, 'code');
+    query['issues.code'] = code.endsWith('*')
+      ? new RegExp(`^${escapeRegExp(code.slice(0, -1))}`)
+      : code;
+  }
+  
+  return query;
+}
 
 // GET /api/history
+// Newest first. Pass `nextCursor` back as `cursor` to get the next page.
 router.get('/', async (req, res) => {
+  let query;
+  let limit;
+  try {
+    query = buildHistoryQuery(req);
+    limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      query.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }
+      ];
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  try {
+    const scans = await ScanResult.find(query)
+      .select('-issues -fixes -focusOrder')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+    
+    const hasMore = scans.length > limit;
+    const items = hasMore ? scans.slice(0, limit) : scans;
+    
+    res.json({
+      items,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/history/trend?url=<url>
+// Score and issue counts over time for one URL, oldest first, for charts
+router.get('/trend', async (req, res) => {
+  if (!req.query.url) {
+    return res.status(400).json({ error: 'Missing url' });
+  }
+  
+  let query;
+  try {
+    query = buildHistoryQuery(req);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  const countType = type => ({
+    $size: {
+      $filter: {
+        input: { $ifNull: ['$issues', []] },
+        cond: { $and: [{ $eq: ['$$this.type', type] }, { $ne: ['$$this.suppressed', true] }] }
+      }
+    }
+  });
+  
   try {
-    // Filter by user if authenticated
-    const query = req.user ? { user: req.user._id } : {};
+    // Take the most recent points, then put them back in chronological order
+    const points = await ScanResult.aggregate([
+      { $match: query },
+      { $sort: { createdAt: -1 } },
+      { $limit: MAX_TREND_POINTS },
+      { $sort: { createdAt: 1 } },
+      {
+        $project: {
+          _id: 0,
+          scanId: '$_id',
+          createdAt: 1,
+          score: 1,
+          errors: countType('error'),
+          warnings: countType('warning'),
+          notices: countType('notice')
+        }
+      }
+    ]);
     
-    const scans = await ScanResult.find(query).sort({ createdAt: -1 }).limit(50);
-    res.json(scans);
+    res.json({ url: query.url, points });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -2,9 +2,16 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
+const jobQueue = require('./services/jobHandlers');
+const scheduler = require('./services/scheduler');
+const webhookWorker = require('./services/webhooks');
+const browserPool = require('./services/browserPool');
 
 const app = express();
 
+// Behind Vercel's proxy; rate limits need the client IP, not the proxy's
+app.set('trust proxy', 1);
+
 // Database connection for Vercel serverless functions
 let isConnected = false;
 
@@ -59,8 +66,8 @@ app.use(cors({
       ] 
     : ['http://localhost:3000', 'http://localhost:5173', 'http://localhost:3001'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -76,6 +83,10 @@ app.use((req, res, next) => {
 app.use(async (req, res, next) => {
   try {
     await connectDB();
+    // Pick up any queued scan jobs and due webhook deliveries now that the
+    // database is reachable
+    jobQueue.drain();
+    webhookWorker.processDueDeliveries();
     next();
   } catch (error) {
     console.error('Database connection error in middleware:', error.message);
@@ -109,7 +120,9 @@ app.get('/api/health', async (req, res) => {
       database: dbStates[dbStatus] || 'unknown',
       environment: process.env.NODE_ENV || 'development',
       vercel: !!process.env.VERCEL,
-      mongoUri: process.env.MONGO_URI ? 'Set' : 'Not set'
+      mongoUri: process.env.MONGO_URI ? 'Set' : 'Not set',
+      browserPool: browserPool.stats(),
+      jobQueue: jobQueue.stats()
     });
   } catch (error) {
     console.error('Health check failed:', error);
@@ -124,9 +137,29 @@ app.get('/api/health', async (req, res) => {
 // Mount routers
 const authRouter = require('./auth');
 const scanRouter = require('./scan');
+const sitesRouter = require('./sites');
+const monitorsRouter = require('./monitors');
+const profilesRouter = require('./profiles');
+const fixRouter = require('./fix');
+const historyRouter = require('./history');
+const orgsRouter = require('./orgs');
+const apiKeysRouter = require('./apiKeys');
+const ciRouter = require('./ci');
+const webhooksRouter = require('./webhooks');
+const triageRouter = require('./triage');
 
 app.use('/api/auth', authRouter);
 app.use('/api/scan', scanRouter);
+app.use('/api/sites', sitesRouter);
+app.use('/api/monitors', monitorsRouter);
+app.use('/api/profiles', profilesRouter);
+app.use('/api/fix', fixRouter);
+app.use('/api/history', historyRouter);
+app.use('/api/orgs', orgsRouter);
+app.use('/api/keys', apiKeysRouter);
+app.use('/api/ci', ciRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/triage', triageRouter);
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -158,6 +191,20 @@ if (process.env.VERCEL) {
   module.exports = app;
 } else {
   const PORT = process.env.PORT || 4000;
+  
+  // Run queued scan jobs, scheduled monitors and webhook retries in this process
+  connectDB().catch(err => console.error('Initial database connection failed:', err.message));
+  jobQueue.start();
+  scheduler.start();
+  webhookWorker.start();
+  
+  // Don't leave Chromium processes behind
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      browserPool.closeAll().finally(() => process.exit(0));
+    });
+  }
+  
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
@@ -1,36 +1,88 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { verifyAccessToken, isApiKey, authenticateApiKey } = require('../services/tokens');
 
-// Environment variable for JWT secret
-const JWT_SECRET = process.env.JWT_SECRET || 'your-jwt-secret-key';
-
-const authMiddleware = async (req, res, next) => {
+// Resolve the caller from a login JWT or an API key (as a bearer token or in
+// X-API-Key). Returns null when no credential was sent, and { error } when
+// the one sent isn't valid.
+async function authenticate(req) {
+  const token = req.header('Authorization')?.replace('Bearer ', '') || req.header('X-API-Key');
+  if (!token) return null;
+  
+  if (isApiKey(token)) {
+    const apiKey = await authenticateApiKey(token);
+    const user = apiKey && await User.findById(apiKey.user);
+    if (!user) return { error: 'Invalid or expired API key' };
+    return { user, apiKey, scopes: apiKey.scopes };
+  }
+  
+  let decoded;
   try {
-    // Get token from header
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    return { error: 'Invalid or expired token' };
+  }
+  
+  // Tokens issued before a logout-everywhere or password change are void
+  const user = await User.findById(decoded.id);
+  if (!user || (decoded.v || 0) !== (user.tokenVersion || 0)) {
+    return { error: 'Invalid or expired token' };
+  }
+  return { user, apiKey: null, scopes: ApiKey.SCOPES };
+}
+
+// Sets req.user, req.apiKey (null for JWTs) and req.scopes: a login session
+// has every scope, an API key only the ones it was created with.
+// "required" answers 401 without valid credentials; "optional" lets guests
+// through, but still rejects a credential that is invalid or expired.
+function auth(mode) {
+  return async (req, res, next) => {
+    req.user = null;
+    req.apiKey = null;
+    req.scopes = [];
     
-    // If no token, proceed as guest (some routes allow guests)
-    if (!token) {
-      req.user = null;
-      return next();
+    let caller;
+    try {
+      caller = await authenticate(req);
+    } catch (error) {
+      return next(error);
     }
     
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.id);
-    
-    if (!user) {
-      req.user = null;
+    if (caller && caller.error) {
+      return res.status(401).json({ error: caller.error });
+    }
+    if (!caller) {
+      if (mode === 'required') {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
       return next();
     }
     
-    // Attach user to request
-    req.user = user;
-    next();
-  } catch (error) {
-    req.user = null;
+    Object.assign(req, caller);
     next();
+  };
+}
+
+const authMiddleware = auth('optional');
+
+// API keys only reach routes that ask for one of their scopes
+const requireScope = (...scopes) => (req, res, next) => {
+  if (req.apiKey && !scopes.some(scope => req.scopes.includes(scope))) {
+    return res.status(403).json({ error: `API key lacks the ${scopes.join(' or ')} scope` });
+  }
+  next();
+};
+
+// For account and team management, which API keys may never do
+const sessionOnly = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
   }
+  next();
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
+module.exports.optional = authMiddleware;
+module.exports.required = auth('required');
+module.exports.requireScope = requireScope;
+module.exports.sessionOnly = sessionOnly;
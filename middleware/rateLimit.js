@@ -0,0 +1,88 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Count a request against `key` in the current window; returns the new count
+async function hit(key, windowStart, windowMs) {
+  const counter = await RateLimitCounter.findOneAndUpdate(
+    { key: `${key}:${windowStart}` },
+    {
+      $inc: { count: 1 },
+      $setOnInsert: { expiresAt: new Date(windowStart + windowMs) }
+    },
+    { upsert: true, new: true }
+  );
+  return counter.count;
+}
+
+// Fixed-window rate limiter keyed by client IP and, once authenticated, by
+// user. Both limits apply; a limit of 0 turns that one off. Must run after
+// authMiddleware for the per-user limit to see req.user. When the counters
+// can't be reached the request is let through rather than failing.
+function rateLimit({ name, windowMs, perUser = 0, perIp = 0 }) {
+  return async (req, res, next) => {
+    const now = Date.now();
+    const windowStart = now - (now % windowMs);
+    const checks = [];
+    if (perIp) checks.push({ key: `${name}:ip:${req.ip}`, limit: perIp });
+    if (perUser && req.user) checks.push({ key: `${name}:user:${req.user._id}`, limit: perUser });
+    
+    let counts;
+    try {
+      counts = await Promise.all(checks.map(check => hit(check.key, windowStart, windowMs)));
+    } catch (err) {
+      console.error(`Rate limiter ${name} unavailable:`, err.message);
+      return next();
+    }
+    
+    const resetSeconds = Math.ceil((windowStart + windowMs - now) / 1000);
+    const remaining = checks.map((check, i) => check.limit - counts[i]);
+    const tightest = remaining.indexOf(Math.min(...remaining));
+    if (tightest === -1) return next();
+    
+    res.set({
+      'RateLimit-Limit': checks[tightest].limit,
+      'RateLimit-Remaining': Math.max(remaining[tightest], 0),
+      'RateLimit-Reset': resetSeconds
+    });
+    
+    if (remaining[tightest] < 0) {
+      res.set('Retry-After', resetSeconds);
+      return res.status(429).json({ error: 'Too many requests, please try again later' });
+    }
+    next();
+  };
+}
+
+// Limits per minute (auth: per 15 minutes), configurable through the environment
+const MINUTE = 60 * 1000;
+
+const scanLimiter = rateLimit({
+  name: 'scan',
+  windowMs: MINUTE,
+  perUser: envLimit('RATE_LIMIT_SCAN_PER_USER', 10),
+  perIp: envLimit('RATE_LIMIT_SCAN_PER_IP', 30)
+});
+
+const fixLimiter = rateLimit({
+  name: 'fix',
+  windowMs: MINUTE,
+  perUser: envLimit('RATE_LIMIT_FIX_PER_USER', 20),
+  perIp: envLimit('RATE_LIMIT_FIX_PER_IP', 60)
+});
+
+const authLimiter = rateLimit({
+  name: 'auth',
+  windowMs: 15 * MINUTE,
+  perIp: envLimit('RATE_LIMIT_AUTH_PER_IP', 20)
+});
+
+module.exports = {
+  rateLimit,
+  scanLimiter,
+  fixLimiter,
+  authLimiter
+};
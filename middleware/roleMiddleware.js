@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+
+// Look up the project and the user's role in its organization. Cached per
+// request, since one request may check several documents of the same project.
+async function projectRole(req, projectId) {
+  if (!req.user) return null;
+  
+  req.projectRoles = req.projectRoles || new Map();
+  const key = projectId.toString();
+  if (!req.projectRoles.has(key)) {
+    req.projectRoles.set(key, (async () => {
+      const project = await Project.findById(projectId);
+      if (!project) return null;
+      const organization = await Organization.findById(project.organization).select('members');
+      const role = organization ? organization.roleOf(req.user) : null;
+      return role ? { project, role } : null;
+    })());
+  }
+  return req.projectRoles.get(key);
+}
+
+// Check that the current user may act on `doc` with at least `minimumRole`.
+// Project documents need a membership in the project's organization; other
+// documents keep the single-owner check. Returns null when access is granted,
+// otherwise the status and message to respond with.
+async function checkAccess(req, doc, minimumRole) {
+  if (doc.project) {
+    if (!req.user) {
+      return { status: 401, error: 'Authentication required' };
+    }
+    const access = await projectRole(req, doc.project);
+    if (!access) {
+      return { status: 403, error: 'Access denied' };
+    }
+    if (!Organization.roleAtLeast(access.role, minimumRole)) {
+      return { status: 403, error: `Requires the ${minimumRole} role` };
+    }
+    return null;
+  }
+  
+  if (!req.user) {
+    return { status: 401, error: 'Authentication required' };
+  }
+  // Check if the document belongs to the authenticated user
+  if (!doc.user || doc.user.toString() !== req.user._id.toString()) {
+    return { status: 403, error: 'Access denied' };
+  }
+  return null;
+}
+
+// Load the document a route works on and enforce the role on it.
+// `load(req)` returns a query or promise; the document ends up in req.resource.
+function requireRole(minimumRole, load, { notFound = 'Not found' } = {}) {
+  return async (req, res, next) => {
+    if (req.params.id && !mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid id' });
+    }
+    
+    try {
+      const doc = await load(req);
+      if (!doc) {
+        return res.status(404).json({ error: notFound });
+      }
+      
+      const denied = await checkAccess(req, doc, minimumRole);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+      
+      req.resource = doc;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// Resolve the optional `projectId` of the body or query string. Without one
+// the request works on the user's personal scans; with one, the user needs at
+// least `minimumRole` in the project's organization. Sets req.project.
+function requireProjectRole(minimumRole) {
+  return async (req, res, next) => {
+    const projectId = (req.body && req.body.projectId) || req.query.projectId;
+    req.project = null;
+    if (!projectId) return next();
+    
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!mongoose.isValidObjectId(projectId)) {
+      return res.status(400).json({ error: 'Invalid projectId' });
+    }
+    
+    try {
+      const access = await projectRole(req, projectId);
+      if (!access) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (!Organization.roleAtLeast(access.role, minimumRole)) {
+        return res.status(403).json({ error: `Requires the ${minimumRole} role` });
+      }
+      
+      req.project = access.project;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = {
+  checkAccess,
+  requireRole,
+  requireProjectRole
+};
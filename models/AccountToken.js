@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Single-use token mailed to a user, for password resets and email
+// verification. Only a hash of the token is stored.
+const AccountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password-reset', 'verify-email'],
+    required: true
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+AccountTokenSchema.index({ user: 1, purpose: 1 });
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', AccountTokenSchema);
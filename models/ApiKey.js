@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const SCOPES = ['scan:write', 'history:read', 'fix:write', 'triage:write'];
+
+// Personal API key for CI and scripts. Only a hash of the key is stored; the
+// key itself is shown once, when it is created.
+const ApiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // First characters of the key, so users can tell their keys apart
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+ApiKeySchema.index({ user: 1, createdAt: -1 });
+
+ApiKeySchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['open', 'false-positive', 'wont-fix', 'assigned'];
+
+// Statuses that keep an issue in future scans but out of scores and counts
+const SUPPRESSED_STATUSES = ['false-positive', 'wont-fix'];
+
+// The status of an issue fingerprint (see services/fingerprint.js) within a
+// project, or within the user's personal scans when `project` is null. With a
+// `url` it only applies to scans of that URL. Future scans pick it up.
+const IssueTriageSchema = new mongoose.Schema({
+  fingerprint: { type: String, required: true },
+  url: { type: String, default: null },
+  status: { type: String, enum: STATUSES, required: true },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: { type: String, trim: true, maxlength: 2000 },
+  // The issue the status was first set on, to show what the fingerprint means
+  issue: {
+    code: String,
+    type: { type: String },
+    message: String,
+    selector: String,
+    context: String
+  },
+  // Every change, oldest first, with the values it set
+  history: [{
+    _id: false,
+    status: { type: String, enum: STATUSES },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  // Who set the first status; owns the entry when it isn't in a project
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+IssueTriageSchema.index({ project: 1, fingerprint: 1, url: 1 });
+IssueTriageSchema.index({ user: 1, project: 1, fingerprint: 1, url: 1 });
+
+// One entry per fingerprint and url in a project, or in a user's personal scans
+IssueTriageSchema.index(
+  { fingerprint: 1, url: 1, project: 1 },
+  { unique: true, partialFilterExpression: { project: { $type: 'objectId' } } }
+);
+IssueTriageSchema.index(
+  { fingerprint: 1, url: 1, user: 1 },
+  { unique: true, partialFilterExpression: { project: { $type: 'null' } } }
+);
+
+IssueTriageSchema.statics.STATUSES = STATUSES;
+IssueTriageSchema.statics.SUPPRESSED_STATUSES = SUPPRESSED_STATUSES;
+
+module.exports = mongoose.model('IssueTriage', IssueTriageSchema);
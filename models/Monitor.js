@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A URL (or site) that is re-scanned on a cron schedule
+const MonitorSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  url: { type: String, required: true },
+  mode: { type: String, enum: ['page', 'site'], default: 'page' },
+  // Crawl settings, only used in "site" mode
+  crawlSettings: {
+    maxDepth: Number,
+    maxPages: Number,
+    include: [String],
+    exclude: [String],
+    respectRobots: Boolean
+  },
+  // Scan options (standard, runners, ignore...) layered over the user's defaults
+  scanOptions: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Optional scan profile to log in with before scanning
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanProfile'
+  },
+  // Standard 5-field cron expression, e.g. "0 9 * * 1" for Mondays at 09:00
+  schedule: { type: String, required: true },
+  timezone: { type: String, default: 'UTC' },
+  // A run is a regression when the score drops by at least this many points
+  scoreDropThreshold: { type: Number, default: 5, min: 0 },
+  enabled: { type: Boolean, default: true },
+  nextRunAt: Date,
+  lastRunAt: Date,
+  lastRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonitorRun'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when the document is shared through a project
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// The scheduler looks up due monitors on every tick
+MonitorSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('Monitor', MonitorSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Outcome of one scheduled monitor scan compared with the run before it
+const MonitorRunSchema = new mongoose.Schema({
+  monitor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Monitor',
+    required: true
+  },
+  // Exactly one of these is set, depending on the monitor mode
+  scan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanResult'
+  },
+  siteScan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SiteScan'
+  },
+  previousRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonitorRun'
+  },
+  score: Number,
+  scoreDelta: Number,
+  countDeltas: {
+    error: Number,
+    warning: Number,
+    notice: Number
+  },
+  newErrors: [{
+    fingerprint: String,
+    code: String,
+    message: String,
+    selector: String,
+    context: String
+  }],
+  fixedCount: { type: Number, default: 0 },
+  newCount: { type: Number, default: 0 },
+  regression: { type: Boolean, default: false },
+  reasons: [String],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+MonitorRunSchema.index({ monitor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MonitorRun', MonitorRunSchema);
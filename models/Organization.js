@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+// A team of users sharing projects. Every member has one role that applies
+// to all of the organization's projects.
+const OrganizationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: { type: String, enum: ROLES, required: true },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  // Pending invitations, accepted by the user registered with that email
+  invitations: [{
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: ROLES, required: true },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Narrows where the organization's project scans may go, on top of the
+  // server's own lists (see services/urlPolicy.js)
+  urlPolicy: {
+    allowedDomains: [String],
+    blockedDomains: [String]
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+OrganizationSchema.index({ 'members.user': 1 });
+OrganizationSchema.index({ 'invitations.email': 1 });
+
+// Role of a user in this organization, or null when they are not a member
+OrganizationSchema.methods.roleOf = function(user) {
+  if (!user) return null;
+  const id = (user._id || user).toString();
+  const member = this.members.find(m => m.user.toString() === id);
+  return member ? member.role : null;
+};
+
+OrganizationSchema.statics.ROLES = ROLES;
+
+// Whether `role` grants at least the rights of `minimum`
+OrganizationSchema.statics.roleAtLeast = function(role, minimum) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+};
+
+module.exports = mongoose.model('Organization', OrganizationSchema);
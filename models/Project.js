@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Groups the scans, site scans and monitors of an organization. Access is
+// granted by the member's role in the organization.
+const ProjectSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+ProjectSchema.index({ organization: 1, name: 1 });
+
+module.exports = mongoose.model('Project', ProjectSchema);
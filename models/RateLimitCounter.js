@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Request count of one caller in one fixed rate limit window. Kept in MongoDB
+// so that every serverless instance sees the same counts.
+const RateLimitCounterSchema = new mongoose.Schema({
+  // "<limiter>:<user|ip>:<id>:<window start>"
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
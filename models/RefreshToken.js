@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only a hash of the token is
+// stored. Every refresh rotates the token within its family; presenting a
+// token that was already rotated revokes the whole family.
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  // All tokens descending from the same login share a family
+  family: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  userAgent: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+RefreshTokenSchema.index({ user: 1 });
+RefreshTokenSchema.index({ family: 1 });
+// Let MongoDB drop expired tokens
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
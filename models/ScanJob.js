@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A queued unit of scan work. The job queue claims queued jobs, runs the
+// handler registered for `type` and links whatever document it produced.
+const ScanJobSchema = new mongoose.Schema({
+  type: { type: String, required: true, default: 'page' },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'done', 'failed'],
+    default: 'queued'
+  },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  progress: { type: Number, default: 0 },
+  progressMessage: String,
+  result: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'resultModel'
+  },
+  resultModel: { type: String, default: 'ScanResult' },
+  error: String,
+  attempts: { type: Number, default: 0 },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the document is shared through a project
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+// The worker always looks for the oldest queued job
+ScanJobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ScanJob', ScanJobSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../services/secrets');
+
+const ACTION_TYPES = [
+  'navigate',
+  'set-field',
+  'click',
+  'check',
+  'uncheck',
+  'wait-for-url',
+  'wait-for-element'
+];
+
+// Shown in API responses in place of stored secrets
+const MASK = '********';
+
+const ActionSchema = new mongoose.Schema({
+  type: { type: String, enum: ACTION_TYPES, required: true },
+  selector: String,
+  // Field value for set-field, URL for navigate/wait-for-url,
+  // state (visible, hidden, added, removed) for wait-for-element
+  value: String,
+  // Secret values (passwords) are encrypted at rest and never returned
+  secret: { type: Boolean, default: false }
+}, { _id: false });
+
+const CookieSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  value: { type: String, required: true },
+  domain: String,
+  path: String,
+  secure: Boolean,
+  httpOnly: Boolean
+}, { _id: false });
+
+const HeaderSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  value: { type: String, required: true }
+}, { _id: false });
+
+// Reusable login/authentication setup that scans can reference to audit pages
+// in their logged-in state
+const ScanProfileSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Page the actions start on. Without it, actions run on the scanned URL.
+  loginUrl: String,
+  actions: [ActionSchema],
+  cookies: [CookieSchema],
+  headers: [HeaderSchema],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.actions = (ret.actions || []).map(action => (action.secret ? { ...action, value: MASK } : action));
+      ret.cookies = (ret.cookies || []).map(cookie => ({ ...cookie, value: MASK }));
+      ret.headers = (ret.headers || []).map(header => ({ ...header, value: MASK }));
+      return ret;
+    }
+  }
+});
+
+// Encrypt secret values before they are stored
+ScanProfileSchema.pre('save', function(next) {
+  this.actions.forEach(action => {
+    if (action.secret) action.value = encrypt(action.value);
+  });
+  this.cookies.forEach(cookie => {
+    cookie.value = encrypt(cookie.value);
+  });
+  this.headers.forEach(header => {
+    header.value = encrypt(header.value);
+  });
+  this.updatedAt = new Date();
+  next();
+});
+
+// Decrypted configuration handed to the scan runner
+ScanProfileSchema.methods.toScanAuth = function() {
+  return {
+    loginUrl: this.loginUrl,
+    actions: this.actions.map(action => ({
+      type: action.type,
+      selector: action.selector,
+      value: action.secret ? decrypt(action.value) : action.value
+    })),
+    cookies: this.cookies.map(cookie => ({ ...cookie.toObject(), value: decrypt(cookie.value) })),
+    headers: Object.fromEntries(this.headers.map(header => [header.name, decrypt(header.value)]))
+  };
+};
+
+// Look up a profile owned by `user`, or null (also for malformed ids)
+ScanProfileSchema.statics.findForUser = function(id, user) {
+  if (!user || !mongoose.isValidObjectId(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, user: user._id });
+};
+
+ScanProfileSchema.statics.ACTION_TYPES = ACTION_TYPES;
+ScanProfileSchema.statics.MASK = MASK;
+
+module.exports = mongoose.model('ScanProfile', ScanProfileSchema);
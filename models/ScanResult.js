@@ -1,16 +1,169 @@
 const mongoose = require('mongoose');
 
+// Where a scanned document came from: a live URL, an uploaded HTML document
+// or an uploaded zip of a static site
+const SOURCE_KINDS = ['url', 'html', 'archive'];
+
 const ScanResultSchema = new mongoose.Schema({
-  url: { type: String, required: true },
+  // Uploads have no URL; `source` says what was scanned instead
+  url: {
+    type: String,
+    required: function() {
+      return !this.source || this.source.kind === 'url';
+    }
+  },
+  source: {
+    kind: { type: String, enum: SOURCE_KINDS, default: 'url' },
+    // File name given with the upload
+    name: String,
+    // Page of an archive that was scanned
+    entry: String,
+    // Hash of the uploaded document or archive, to spot repeated uploads
+    sha256: String
+  },
+  // Lowercased host of `url`, for domain filters
+  hostname: String,
   issues: { type: Array, required: true },
   documentTitle: String,
   pageUrl: String,
   score: Number,
+  hasForm: Boolean,
+  // Elements in the order Tab reaches them, from the keyboard audit
+  focusOrder: {
+    type: [{
+      _id: false,
+      index: Number,
+      selector: String,
+      tag: String,
+      role: String,
+      name: String,
+      rect: { x: Number, y: Number, width: Number, height: Number },
+      focusVisible: Boolean
+    }],
+    default: undefined
+  },
+  // Full-page screenshot in the image store (see services/screenshots.js).
+  // Sizes are CSS pixels; issues carry a `box` in the same coordinates.
+  screenshot: {
+    type: {
+      _id: false,
+      key: String,
+      width: Number,
+      height: Number,
+      scale: Number,
+      // The page was taller than what was captured
+      truncated: Boolean
+    },
+    default: undefined
+  },
+  // One entry per viewport of a multi-viewport scan (see services/viewports.js).
+  // Issues then list the `viewports` they were found in.
+  viewports: {
+    type: [{
+      _id: false,
+      name: String,
+      // Puppeteer device emulated, if any
+      device: String,
+      viewport: mongoose.Schema.Types.Mixed,
+      documentTitle: String,
+      score: Number,
+      counts: {
+        error: Number,
+        warning: Number,
+        notice: Number,
+        suppressed: Number
+      },
+      conformance: mongoose.Schema.Types.Mixed,
+      screenshot: {
+        type: {
+          _id: false,
+          key: String,
+          width: Number,
+          height: Number,
+          scale: Number,
+          truncated: Boolean
+        },
+        default: undefined
+      }
+    }],
+    default: undefined
+  },
+  // Issues by type, leaving out suppressed ones, which are counted apart
+  counts: {
+    error: Number,
+    warning: Number,
+    notice: Number,
+    suppressed: Number
+  },
+  // Per-principle/per-level breakdown and WCAG conformance verdict
+  conformance: mongoose.Schema.Types.Mixed,
+  // Resolved pa11y options the scan ran with
+  options: mongoose.Schema.Types.Mixed,
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Scan profile used to reach the page in its logged-in state
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanProfile'
+  },
+  // Fix suggestions generated for this scan, one per unique problem
+  fixes: [{
+    _id: false,
+    key: String,
+    code: String,
+    fixedHtml: String,
+    explanation: String,
+    provider: String,
+    confidence: Number,
+    diff: String,
+    issueIndexes: [Number],
+    createdAt: Date
+  }],
+  // Set when the page was scanned as part of a site crawl
+  siteScan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SiteScan'
+  },
+  // Set when the document is shared through a project
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
   createdAt: { type: Date, default: Date.now },
 });
 
+// History lists and per-URL trends are always per user, newest first
+ScanResultSchema.index({ user: 1, createdAt: -1 });
+ScanResultSchema.index({ user: 1, url: 1, createdAt: -1 });
+ScanResultSchema.index({ project: 1, createdAt: -1 });
+ScanResultSchema.index({ project: 1, url: 1, createdAt: -1 });
+
+// Derive the fields used for filtering from the scan itself
+ScanResultSchema.pre('validate', function(next) {
+  if (this.isModified('url')) {
+    try {
+      this.hostname = new URL(this.url).hostname.toLowerCase();
+    } catch (error) {
+      this.hostname = undefined;
+    }
+  }
+  
+  if (this.isModified('issues')) {
+    const all = this.issues || [];
+    const issues = all.filter(i => !i.suppressed);
+    this.counts = {
+      error: issues.filter(i => i.type === 'error').length,
+      warning: issues.filter(i => i.type === 'warning').length,
+      notice: issues.filter(i => i.type === 'notice').length,
+      suppressed: all.length - issues.length
+    };
+  }
+  next();
+});
+
+ScanResultSchema.statics.SOURCE_KINDS = SOURCE_KINDS;
+
 module.exports = mongoose.model('ScanResult', ScanResultSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Aggregate report for a multi-page crawl. Each crawled page is stored as its
+// own ScanResult and linked from `pages`.
+const SiteScanSchema = new mongoose.Schema({
+  seedUrl: { type: String, required: true },
+  settings: {
+    maxDepth: Number,
+    maxPages: Number,
+    include: [String],
+    exclude: [String],
+    respectRobots: Boolean
+  },
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanProfile'
+  },
+  pages: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanResult'
+  }],
+  pageCount: { type: Number, default: 0 },
+  score: Number,
+  conformance: mongoose.Schema.Types.Mixed,
+  // Issue totals with repeated issues counted once
+  totals: {
+    errors: { type: Number, default: 0 },
+    warnings: { type: Number, default: 0 },
+    notices: { type: Number, default: 0 }
+  },
+  worstPages: [{
+    scan: { type: mongoose.Schema.Types.ObjectId, ref: 'ScanResult' },
+    url: String,
+    score: Number,
+    errorCount: Number
+  }],
+  // Issues found on more than one page, e.g. the same nav error in a shared header
+  commonIssues: [{
+    fingerprint: String,
+    type: { type: String },
+    code: String,
+    message: String,
+    selector: String,
+    context: String,
+    pageCount: Number,
+    urls: [String]
+  }],
+  // URLs that were discovered but not scanned, and why
+  skipped: [{
+    url: String,
+    reason: String
+  }],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the document is shared through a project
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('SiteScan', SiteScanSchema);
@@ -19,6 +19,28 @@ const UserSchema = new mongoose.Schema({
     minlength: 6,
     select: false
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Bumped to invalidate every access token issued so far (logout everywhere,
+  // password change)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Monthly scan quota; unset uses MONTHLY_SCAN_QUOTA
+  scanQuota: Number,
+  // Pages scanned in `period` ("YYYY-MM"), reset when a new month starts
+  scanUsage: {
+    period: String,
+    count: { type: Number, default: 0 }
+  },
+  // Scan options applied to every scan unless the request overrides them
+  scanDefaults: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const EVENTS = ['scan.completed', 'scan.failed', 'score.regressed'];
+
+// An endpoint that receives signed POST requests when scan events happen.
+// Personal webhooks hear about the user's own scans, project webhooks about
+// every scan of the project.
+const WebhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  description: { type: String, trim: true },
+  events: {
+    type: [{ type: String, enum: EVENTS }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+  // "json" sends the event envelope; "slack" sends a Slack-compatible message
+  format: { type: String, enum: ['json', 'slack'], default: 'json' },
+  // Signing secret, encrypted at rest (see services/secrets)
+  secret: { type: String, required: true },
+  enabled: { type: Boolean, default: true },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+WebhookSchema.index({ user: 1, project: 1, events: 1 });
+WebhookSchema.index({ project: 1, events: 1 });
+
+WebhookSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One event sent (or being sent) to one webhook, with every attempt made
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [{
+    at: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }],
+  nextAttemptAt: { type: Date, default: Date.now },
+  deliveredAt: Date,
+  // Set when this delivery is a manual redelivery of an earlier one
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// The delivery worker looks for due pending deliveries
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Monitor = require('./models/Monitor');
+const MonitorRun = require('./models/MonitorRun');
+const ScanProfile = require('./models/ScanProfile');
+const { normalizeSettings } = require('./services/crawler');
+const { computeNextRun, queueMonitorRun } = require('./services/scheduler');
+const { parseScanOptions } = require('./services/scanOptions');
+const { loadUrlPolicy, checkTargetUrl } = require('./services/urlPolicy');
+const authMiddleware = require('./middleware/authMiddleware');
+const { requireScope } = authMiddleware;
+const { checkAccess, requireProjectRole } = require('./middleware/roleMiddleware');
+const { scanLimiter } = require('./middleware/rateLimit');
+const { hasScanQuota } = require('./services/scanQuota');
+
+// Monitors always belong to a user
+router.use(authMiddleware.required);
+
+// API keys read monitors with history:read and change or run them with scan:write
+router.use((req, res, next) => {
+  const scope = req.method === 'GET' ? 'history:read' : 'scan:write';
+  requireScope(scope)(req, res, next);
+});
+
+// Pick the editable fields from a request body, validating them. `project` is
+// where the monitor is filed, which decides the URL policy its target must pass.
+async function parseMonitorInput(body, user, existing = {}, project = existing.project) {
+  const fields = {};
+  
+  for (const key of ['name', 'url', 'mode', 'schedule', 'timezone', 'scoreDropThreshold', 'enabled']) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  if (body.crawlSettings !== undefined) {
+    fields.crawlSettings = normalizeSettings(body.crawlSettings);
+  }
+  if (body.scanOptions !== undefined) {
+    fields.scanOptions = parseScanOptions(body.scanOptions);
+  }
+  if (body.profileId !== undefined) {
+    if (body.profileId === null) {
+      fields.profile = null;
+    } else {
+      const profile = await ScanProfile.findForUser(body.profileId, user);
+      if (!profile) throw new Error('Unknown scan profile');
+      fields.profile = profile._id;
+    }
+  }
+  
+  if (fields.url !== undefined) {
+    fields.url = await checkTargetUrl(fields.url, await loadUrlPolicy(project));
+  }
+  
+  const schedule = fields.schedule ?? existing.schedule;
+  const timezone = fields.timezone ?? existing.timezone ?? 'UTC';
+  if (fields.schedule !== undefined || fields.timezone !== undefined) {
+    // Also validates the expression and timezone
+    fields.nextRunAt = computeNextRun(schedule, timezone);
+  }
+  
+  return fields;
+}
+
+// Load the monitor of the route, checking the role needed on project monitors
+async function findMonitor(req, res, minimumRole) {
+  const monitor = mongoose.isValidObjectId(req.params.id) ? await Monitor.findById(req.params.id) : null;
+  if (!monitor) {
+    res.status(404).json({ error: 'Monitor not found' });
+    return null;
+  }
+  
+  const denied = await checkAccess(req, monitor, minimumRole);
+  if (denied) {
+    // Personal monitors of other users stay invisible
+    const status = monitor.project ? denied.status : 404;
+    res.status(status).json({ error: status === 404 ? 'Monitor not found' : denied.error });
+    return null;
+  }
+  return monitor;
+}
+
+// GET /api/monitors[?projectId=<id>]
+router.get('/', requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const query = req.project ? { project: req.project._id } : { user: req.user._id, project: null };
+    const monitors = await Monitor.find(query)
+      .populate('lastRun', 'score scoreDelta regression reasons createdAt')
+      .sort({ createdAt: -1 });
+    res.json(monitors);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/monitors - with `projectId` the monitor and its scans belong to the project
+router.post('/', requireProjectRole('member'), async (req, res) => {
+  const { name, url, schedule } = req.body;
+  if (!name || !url || !schedule) {
+    return res.status(400).json({ error: 'Missing name, url or schedule' });
+  }
+  
+  let fields;
+  try {
+    fields = await parseMonitorInput(req.body, req.user, {}, req.project);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  try {
+    const monitor = await Monitor.create({
+      ...fields,
+      user: req.user._id,
+      project: req.project ? req.project._id : null
+    });
+    res.status(201).json(monitor);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET a monitor
+router.get('/:id', async (req, res) => {
+  try {
+    const monitor = await findMonitor(req, res, 'viewer');
+    if (!monitor) return;
+    await monitor.populate('lastRun');
+    res.json(monitor);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH a monitor's settings or schedule
+router.patch('/:id', async (req, res) => {
+  try {
+    const monitor = await findMonitor(req, res, 'member');
+    if (!monitor) return;
+    
+    let fields;
+    try {
+      fields = await parseMonitorInput(req.body, req.user, monitor);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    
+    // Re-enabling a monitor schedules it from now rather than catching up
+    if (fields.enabled === true && !monitor.enabled && !fields.nextRunAt) {
+      fields.nextRunAt = computeNextRun(monitor.schedule, monitor.timezone);
+    }
+    
+    monitor.set(fields);
+    await monitor.save();
+    res.json(monitor);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE a monitor and its run history (the scans themselves are kept)
+router.delete('/:id', async (req, res) => {
+  try {
+    const monitor = await findMonitor(req, res, 'member');
+    if (!monitor) return;
+    
+    await MonitorRun.deleteMany({ monitor: monitor._id });
+    await monitor.deleteOne();
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/monitors/:id/run - run a monitor now, outside its schedule
+router.post('/:id/run', scanLimiter, async (req, res) => {
+  try {
+    const monitor = await findMonitor(req, res, 'member');
+    if (!monitor) return;
+    
+    if (!hasScanQuota(req.user)) {
+      return res.status(403).json({ error: 'Monthly scan quota exceeded' });
+    }
+    
+    const job = await queueMonitorRun(monitor);
+    res.status(202)
+      .location(`/api/scan/jobs/${job._id}`)
+      .json({ id: job._id, type: job.type, status: job.status, createdAt: job.createdAt });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/monitors/:id/runs - most recent runs first
+router.get('/:id/runs', async (req, res) => {
+  try {
+    const monitor = await findMonitor(req, res, 'viewer');
+    if (!monitor) return;
+    
+    const query = { monitor: monitor._id };
+    if (req.query.regression === 'true') query.regression = true;
+    
+    const runs = await MonitorRun.find(query).sort({ createdAt: -1 }).limit(50);
+    res.json(runs);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
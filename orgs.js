@@ -0,0 +1,352 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Organization = require('./models/Organization');
+const Project = require('./models/Project');
+const User = require('./models/User');
+const { parseDomainList } = require('./services/urlPolicy');
+const authMiddleware = require('./middleware/authMiddleware');
+const { sessionOnly } = authMiddleware;
+
+// Organizations are only visible to their members
+router.use(authMiddleware.required, sessionOnly);
+
+const { ROLES, roleAtLeast } = Organization;
+
+// Load the organization of the route and check the user's role in it.
+// Non-members get a 404 so organization ids can't be probed.
+async function findOrganization(req, res, minimumRole) {
+  const organization = mongoose.isValidObjectId(req.params.id)
+    ? await Organization.findById(req.params.id)
+    : null;
+  const role = organization ? organization.roleOf(req.user) : null;
+  
+  if (!role) {
+    res.status(404).json({ error: 'Organization not found' });
+    return null;
+  }
+  if (!roleAtLeast(role, minimumRole)) {
+    res.status(403).json({ error: `Requires the ${minimumRole} role` });
+    return null;
+  }
+  
+  req.role = role;
+  return organization;
+}
+
+// Only owners may hand out or take away the owner role
+function checkRoleChange(actorRole, role) {
+  if (!ROLES.includes(role)) {
+    return `role must be one of ${ROLES.join(', ')}`;
+  }
+  if (role === 'owner' && actorRole !== 'owner') {
+    return 'Only owners can grant the owner role';
+  }
+  return null;
+}
+
+function serializeOrganization(organization, role) {
+  return {
+    id: organization._id,
+    name: organization.name,
+    role,
+    urlPolicy: {
+      allowedDomains: organization.urlPolicy ? organization.urlPolicy.allowedDomains : [],
+      blockedDomains: organization.urlPolicy ? organization.urlPolicy.blockedDomains : []
+    },
+    createdAt: organization.createdAt
+  };
+}
+
+// GET /api/orgs - organizations the user belongs to, with their role
+router.get('/', async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'members.user': req.user._id }).sort({ name: 1 });
+    res.json(organizations.map(org => serializeOrganization(org, org.roleOf(req.user))));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/orgs - the creator becomes the owner
+router.post('/', async (req, res) => {
+  if (!req.body.name) {
+    return res.status(400).json({ error: 'Missing name' });
+  }
+  
+  try {
+    const organization = await Organization.create({
+      name: req.body.name,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+    res.status(201).json(serializeOrganization(organization, 'owner'));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/orgs/invitations - pending invitations for the user's email.
+// Only a verified email proves the invitation was meant for this account.
+router.get('/invitations', async (req, res) => {
+  if (!req.user.emailVerified) {
+    return res.json([]);
+  }
+  
+  try {
+    const organizations = await Organization.find({ 'invitations.email': req.user.email }).select('name invitations');
+    res.json(organizations.map(org => {
+      const invitation = org.invitations.find(i => i.email === req.user.email);
+      return {
+        organization: { id: org._id, name: org.name },
+        role: invitation.role,
+        createdAt: invitation.createdAt
+      };
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/orgs/:id/join - accept the invitation sent to the user's email
+router.post('/:id/join', async (req, res) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ error: 'Verify your email before accepting invitations' });
+  }
+  
+  try {
+    const organization = mongoose.isValidObjectId(req.params.id)
+      ? await Organization.findById(req.params.id)
+      : null;
+    const invitation = organization && organization.invitations.find(i => i.email === req.user.email);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    
+    if (!organization.roleOf(req.user)) {
+      organization.members.push({ user: req.user._id, role: invitation.role });
+    }
+    invitation.deleteOne();
+    await organization.save();
+    
+    res.json(serializeOrganization(organization, organization.roleOf(req.user)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET an organization with its members and pending invitations
+router.get('/:id', async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res, 'viewer');
+    if (!organization) return;
+    await organization.populate('members.user', 'name email');
+    
+    res.json({
+      ...serializeOrganization(organization, req.role),
+      members: organization.members.map(m => ({
+        id: m.user._id,
+        name: m.user.name,
+        email: m.user.email,
+        role: m.role,
+        addedAt: m.addedAt
+      })),
+      invitations: organization.invitations.map(i => ({
+        id: i._id,
+        email: i.email,
+        role: i.role,
+        createdAt: i.createdAt
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH an organization's name or the domains its project scans may target
+router.patch('/:id', async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res, 'admin');
+    if (!organization) return;
+    
+    if (req.body.name !== undefined) organization.name = req.body.name;
+    if (req.body.urlPolicy !== undefined) {
+      const { allowedDomains, blockedDomains } = req.body.urlPolicy || {};
+      try {
+        if (allowedDomains !== undefined) {
+          organization.set('urlPolicy.allowedDomains', parseDomainList(allowedDomains, 'allowedDomains'));
+        }
+        if (blockedDomains !== undefined) {
+          organization.set('urlPolicy.blockedDomains', parseDomainList(blockedDomains, 'blockedDomains'));
+        }
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+    }
+    await organization.save();
+    res.json(serializeOrganization(organization, req.role));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/orgs/:id/invitations - invite an email address with a role.
+// Inviting the same address again updates the role of the invitation.
+router.post('/:id/invitations', async (req, res) => {
+  const email = String(req.body.email || '').trim().toLowerCase();
+  const role = req.body.role || 'member';
+  if (!email) {
+    return res.status(400).json({ error: 'Missing email' });
+  }
+  
+  try {
+    const organization = await findOrganization(req, res, 'admin');
+    if (!organization) return;
+    
+    const invalid = checkRoleChange(req.role, role);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const existingUser = await User.findOne({ email });
+    if (existingUser && organization.roleOf(existingUser)) {
+      return res.status(409).json({ error: 'User is already a member' });
+    }
+    
+    let invitation = organization.invitations.find(i => i.email === email);
+    if (invitation) {
+      invitation.role = role;
+    } else {
+      organization.invitations.push({ email, role, invitedBy: req.user._id });
+      invitation = organization.invitations[organization.invitations.length - 1];
+    }
+    await organization.save();
+    
+    res.status(201).json({ id: invitation._id, email, role, createdAt: invitation.createdAt });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/orgs/:id/invitations/:invitationId - revoke an invitation
+router.delete('/:id/invitations/:invitationId', async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res, 'admin');
+    if (!organization) return;
+    
+    const invitation = organization.invitations.id(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    invitation.deleteOne();
+    await organization.save();
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/orgs/:id/members/:userId - change a member's role
+router.patch('/:id/members/:userId', async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res, 'admin');
+    if (!organization) return;
+    
+    const member = organization.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    const invalid = checkRoleChange(req.role, req.body.role)
+      || (member.role === 'owner' && req.role !== 'owner' && 'Only owners can change the role of an owner');
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const owners = organization.members.filter(m => m.role === 'owner');
+    if (member.role === 'owner' && req.body.role !== 'owner' && owners.length === 1) {
+      return res.status(409).json({ error: 'An organization needs at least one owner' });
+    }
+    
+    member.role = req.body.role;
+    await organization.save();
+    res.json({ id: member.user, role: member.role });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/orgs/:id/members/:userId - remove a member, or leave the
+// organization when it is the user's own id
+router.delete('/:id/members/:userId', async (req, res) => {
+  const leaving = req.params.userId === req.user._id.toString();
+  
+  try {
+    const organization = await findOrganization(req, res, leaving ? 'viewer' : 'admin');
+    if (!organization) return;
+    
+    const member = organization.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'owner' && !leaving && req.role !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can remove an owner' });
+    }
+    if (member.role === 'owner' && organization.members.filter(m => m.role === 'owner').length === 1) {
+      return res.status(409).json({ error: 'An organization needs at least one owner' });
+    }
+    
+    member.deleteOne();
+    await organization.save();
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/orgs/:id/projects
+router.get('/:id/projects', async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res, 'viewer');
+    if (!organization) return;
+    
+    const projects = await Project.find({ organization: organization._id }).sort({ name: 1 });
+    res.json(projects);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/orgs/:id/projects
+router.post('/:id/projects', async (req, res) => {
+  if (!req.body.name) {
+    return res.status(400).json({ error: 'Missing name' });
+  }
+  
+  try {
+    const organization = await findOrganization(req, res, 'admin');
+    if (!organization) return;
+    
+    const project = await Project.create({
+      name: req.body.name,
+      organization: organization._id,
+      createdBy: req.user._id
+    });
+    res.status(201).json(project);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const ScanProfile = require('./models/ScanProfile');
+const authMiddleware = require('./middleware/authMiddleware');
+const { sessionOnly } = authMiddleware;
+
+// Profiles hold credentials, so they always belong to a user
+router.use(authMiddleware.required, sessionOnly);
+
+// Actions that need a selector and/or a value to be meaningful
+const NEEDS_SELECTOR = ['set-field', 'click', 'check', 'uncheck', 'wait-for-element'];
+const NEEDS_VALUE = ['navigate', 'wait-for-url'];
+
+function validateUrl(value, field) {
+  try {
+    const { protocol } = new URL(value);
+    if (!['http:', 'https:'].includes(protocol)) throw new Error();
+  } catch (err) {
+    throw new Error(`${field} must be an http(s) URL`);
+  }
+}
+
+// Validate the request body. Secret values sent back as the mask returned by
+// the API keep the value already stored in `existing`.
+function parseProfileInput(body, existing) {
+  const fields = {};
+  
+  if (body.name !== undefined) fields.name = body.name;
+  if (body.loginUrl !== undefined) {
+    if (body.loginUrl) validateUrl(body.loginUrl, 'loginUrl');
+    fields.loginUrl = body.loginUrl || undefined;
+  }
+  
+  if (body.actions !== undefined) {
+    if (!Array.isArray(body.actions)) throw new Error('actions must be a list');
+    
+    fields.actions = body.actions.map((action, index) => {
+      const { type, selector, value, secret } = action || {};
+      if (!ScanProfile.ACTION_TYPES.includes(type)) {
+        throw new Error(`Action ${index + 1}: type must be one of ${ScanProfile.ACTION_TYPES.join(', ')}`);
+      }
+      if (NEEDS_SELECTOR.includes(type) && !selector) {
+        throw new Error(`Action ${index + 1}: ${type} needs a selector`);
+      }
+      if (NEEDS_VALUE.includes(type) && !value) {
+        throw new Error(`Action ${index + 1}: ${type} needs a value`);
+      }
+      if (type === 'navigate') validateUrl(value, `Action ${index + 1} value`);
+      
+      let storedValue = value === undefined ? undefined : String(value);
+      if (secret && storedValue === ScanProfile.MASK) {
+        const previous = existing && existing.actions[index];
+        if (!previous || !previous.secret) {
+          throw new Error(`Action ${index + 1}: secret value is required`);
+        }
+        storedValue = previous.value;
+      }
+      
+      return { type, selector, value: storedValue, secret: Boolean(secret) };
+    });
+  }
+  
+  // Cookies and headers are always secret; a masked value keeps the stored
+  // value of the entry with the same name
+  for (const key of ['cookies', 'headers']) {
+    if (body[key] === undefined) continue;
+    if (!Array.isArray(body[key])) throw new Error(`${key} must be a list`);
+    
+    fields[key] = body[key].map(entry => {
+      if (!entry || !entry.name || entry.value === undefined) {
+        throw new Error(`Each of ${key} needs a name and a value`);
+      }
+      
+      let value = String(entry.value);
+      if (value === ScanProfile.MASK) {
+        const previous = existing && existing[key].find(item => item.name === entry.name);
+        if (!previous) throw new Error(`${key}: value for "${entry.name}" is required`);
+        value = previous.value;
+      }
+      return { ...entry, value };
+    });
+  }
+  
+  return fields;
+}
+
+// GET /api/profiles
+router.get('/', async (req, res) => {
+  try {
+    const profiles = await ScanProfile.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json(profiles);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/profiles
+router.post('/', async (req, res) => {
+  if (!req.body.name) {
+    return res.status(400).json({ error: 'Missing name' });
+  }
+  
+  let fields;
+  try {
+    fields = parseProfileInput(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  try {
+    const profile = await ScanProfile.create({ ...fields, user: req.user._id });
+    res.status(201).json(profile);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET a profile (secrets are masked)
+router.get('/:id', async (req, res) => {
+  try {
+    const profile = await ScanProfile.findForUser(req.params.id, req.user);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(profile);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT replaces the given fields of a profile
+router.put('/:id', async (req, res) => {
+  try {
+    const profile = await ScanProfile.findForUser(req.params.id, req.user);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    
+    let fields;
+    try {
+      fields = parseProfileInput(req.body, profile);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    
+    profile.set(fields);
+    await profile.save();
+    res.json(profile);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE a profile
+router.delete('/:id', async (req, res) => {
+  try {
+    const profile = await ScanProfile.findForUser(req.params.id, req.user);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    
+    await profile.deleteOne();
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
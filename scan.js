@@ -1,149 +1,314 @@
 const express = require('express');
 const router = express.Router();
-const pa11y = require('pa11y');
-const puppeteer = require('puppeteer');
+const mongoose = require('mongoose');
 const ScanResult = require('./models/ScanResult');
+const ScanJob = require('./models/ScanJob');
+const jobQueue = require('./services/jobQueue');
+const { diffScans } = require('./services/scanDiff');
+const { resolveScanOptions } = require('./services/scanOptions');
+const { UrlPolicyError, loadUrlPolicy, checkTargetUrl, normalizeTargetUrl } = require('./services/urlPolicy');
+const { UploadError, parseUpload } = require('./services/uploads');
+const ScanProfile = require('./models/ScanProfile');
+const { FORMATS, renderReport } = require('./services/reports');
+const { ISSUE_TYPES, screenshotView, readScreenshot, renderAnnotatedScreenshot, renderIssueThumbnail } = require('./services/screenshots');
 const authMiddleware = require('./middleware/authMiddleware'); // Import the auth middleware
+const { requireScope } = authMiddleware;
+const { scanLimiter } = require('./middleware/rateLimit');
+const { hasScanQuota } = require('./services/scanQuota');
+const { checkAccess, requireRole, requireProjectRole } = require('./middleware/roleMiddleware');
 
-// Improved form element detection
-function hasFormElements(html) {
-  if (!html) return false;
-  
-  // Check for common form elements
-  const formElements = [
-    /<form[^>]*>/i,
-    /<input[^>]*>/i,
-    /<select[^>]*>/i,
-    /<textarea[^>]*>/i,
-    /<button[^>]*>/i,
-    /<label[^>]*>/i
-  ];
-  
-  return formElements.some(regex => regex.test(html));
-}
-
-// Calculate a more reasonable score
-function calculateScore(issues) {
-  if (!issues || !Array.isArray(issues)) return 100;
-  
-  const errorCount = issues.filter(i => i.type === "error").length;
-  const warningCount = issues.filter(i => i.type === "warning").length;
-  const noticeCount = issues.filter(i => i.type === "notice").length;
-  
-  // Scale the impact based on total issues to avoid extreme negative scores
-  const totalIssues = errorCount + warningCount + noticeCount;
-  const scaleFactor = totalIssues > 50 ? 50 / totalIssues : 1;
-  
-  // Base score of 100, with scaled deductions
-  const baseScore = 100;
-  const errorDeduction = errorCount * 3 * scaleFactor;
-  const warningDeduction = warningCount * 1 * scaleFactor;
-  const noticeDeduction = noticeCount * 0.5 * scaleFactor;
-  
-  const score = Math.max(0, Math.round(baseScore - errorDeduction - warningDeduction - noticeDeduction));
-  return score;
+// Shape a job for API responses
+function serializeJob(job) {
+  return {
+    id: job._id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    progressMessage: job.progressMessage,
+    error: job.error,
+    result: job.result,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
 }
 
 // POST /api/scan
-router.post('/', authMiddleware, async (req, res) => {
+// Queues the scan and returns immediately; poll GET /api/scan/jobs/:id for the result.
+// With `projectId` the scan is shared with the project (member role or above).
+router.post('/', authMiddleware.required, requireScope('scan:write'), scanLimiter, requireProjectRole('member'), async (req, res) => {
   const { url } = req.body;
   if (!url) return res.status(400).json({ error: 'Missing URL' });
   
+  let target;
   try {
-    // Use Puppeteer with more options for better analysis
-    const browser = await puppeteer.launch({ 
-      headless: "new",
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    target = await checkTargetUrl(url, await loadUrlPolicy(req.project));
+  } catch (err) {
+    return res.status(err instanceof UrlPolicyError ? 400 : 500).json({ error: err.message });
+  }
+  
+  let options;
+  try {
+    options = resolveScanOptions(req.body.options, req.user);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  if (!hasScanQuota(req.user)) {
+    return res.status(403).json({ error: 'Monthly scan quota exceeded' });
+  }
+  
+  try {
+    const { profileId } = req.body;
+    if (profileId && !(await ScanProfile.findForUser(profileId, req.user))) {
+      return res.status(400).json({ error: 'Unknown scan profile' });
+    }
     
-    // First get the page content to check for forms
-    const page = await browser.newPage();
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-    const pageContent = await page.content();
-    const hasForm = hasFormElements(pageContent);
+    const job = await jobQueue.enqueue('page', { url: target, options, profileId }, {
+      user: req.user._id,
+      project: req.project ? req.project._id : null
+    });
     
-    // Extended options for better scanning
-    const results = await pa11y(url, {
-      browser,
-      includeNotices: true,
-      includeWarnings: true,
-      wait: 1000,
-      timeout: 60000,
-      actions: [
-        // Add common actions to test interaction points
-        'click element html',
-        'wait for element body to be visible'
-      ],
-      // Include form-specific rules
-      runners: hasForm ? ['htmlcs', 'axe'] : ['htmlcs']
+    res.status(202)
+      .location(`${req.baseUrl}/jobs/${job._id}`)
+      .json(serializeJob(job));
+  } catch (err) {
+    console.error('Scan enqueue error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/scan/upload
+// Queue a scan of a document that isn't online: `html` as a string, or
+// `archive`, a base64 zip of a static site, with an optional `entry` page.
+// The result is a ScanResult without a url, described by its `source`.
+router.post('/upload', authMiddleware.required, requireScope('scan:write'), scanLimiter, requireProjectRole('member'), async (req, res) => {
+  let upload;
+  try {
+    upload = await parseUpload(req.body);
+  } catch (err) {
+    return res.status(err instanceof UploadError ? 400 : 500).json({ error: err.message });
+  }
+  
+  let options;
+  try {
+    options = resolveScanOptions(req.body.options, req.user);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  if (!hasScanQuota(req.user)) {
+    return res.status(403).json({ error: 'Monthly scan quota exceeded' });
+  }
+  
+  try {
+    const job = await jobQueue.enqueue('upload', { ...upload, options }, {
+      user: req.user._id,
+      project: req.project ? req.project._id : null
     });
     
-    await browser.close();
+    res.status(202)
+      .location(`${req.baseUrl}/jobs/${job._id}`)
+      .json(serializeJob(job));
+  } catch (err) {
+    console.error('Upload scan enqueue error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET the state of a scan job, including the ScanResult once it is done
+router.get('/jobs/:id',
+  authMiddleware.required,
+  requireScope('scan:write', 'history:read'),
+  requireRole('viewer', req => ScanJob.findById(req.params.id).populate('result'), { notFound: 'Job not found' }),
+  (req, res) => {
+    res.json(serializeJob(req.resource));
+  }
+);
+
+// GET /api/scan/diff?from=<id>&to=<id>  or  /api/scan/diff?url=<url>
+// Compare two scans issue-by-issue. With `url`, the two most recent scans of
+// that URL are compared (older one as `from`), within `projectId` if given.
+router.get('/diff', authMiddleware.required, requireScope('history:read'), requireProjectRole('viewer'), async (req, res) => {
+  const { from, to, url } = req.query;
+  
+  try {
+    let previous;
+    let current;
     
-    // Enhance results with detected form info
-    if (hasForm) {
-      // Add form detection note if no form issues were found but forms exist
-      const hasFormIssues = results.issues.some(issue => 
-        (issue.selector?.includes('form') || 
-         issue.selector?.includes('input') ||
-         issue.selector?.includes('select') ||
-         issue.message?.toLowerCase().includes('form') ||
-         issue.message?.toLowerCase().includes('label'))
-      );
+    if (url) {
+      // Repeated or bracketed parameters arrive as arrays or objects
+      if (typeof url !== 'string') {
+        return res.status(400).json({ error: 'url must be a single value' });
+      }
+      let target;
+      try {
+        // Normalized the way scan targets are stored
+        target = normalizeTargetUrl(url).toString();
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      
+      const query = req.project ? { url: target, project: req.project._id } : { url: target, user: req.user._id };
       
-      if (!hasFormIssues) {
-        results.issues.push({
-          type: 'notice',
-          code: 'WCAG2AA.info.form-detected',
-          message: 'Form elements detected on page. Ensure all forms are fully accessible.',
-          selector: 'form',
-          context: '<form>...</form>'
-        });
+      [current, previous] = await ScanResult.find(query).sort({ createdAt: -1 }).limit(2);
+      if (!previous) {
+        return res.status(404).json({ error: 'Need at least two scans of this URL to compare' });
+      }
+    } else {
+      if (!from || !to) {
+        return res.status(400).json({ error: 'Provide either url, or both from and to scan ids' });
+      }
+      if (!mongoose.isValidObjectId(from) || !mongoose.isValidObjectId(to)) {
+        return res.status(400).json({ error: 'Invalid scan id' });
+      }
+      
+      [previous, current] = await Promise.all([ScanResult.findById(from), ScanResult.findById(to)]);
+      if (!previous || !current) {
+        return res.status(404).json({ error: 'Scan not found' });
       }
     }
     
-    // Calculate a more accurate score
-    const score = calculateScore(results.issues);
+    // Both scans must be readable by the authenticated user
+    for (const scan of [previous, current]) {
+      const denied = await checkAccess(req, scan, 'viewer');
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+    }
     
-    // Save to MongoDB
-    const scan = new ScanResult({
-      url,
-      issues: results.issues,
-      documentTitle: results.documentTitle,
-      pageUrl: results.pageUrl,
-      score: score,
-      hasForm: hasForm,
-      // Add the user reference if authenticated
-      user: req.user ? req.user._id : null
+    const diff = diffScans(previous, current);
+    const summarize = scan => ({
+      id: scan._id,
+      url: scan.url,
+      source: scan.source,
+      score: scan.score,
+      createdAt: scan.createdAt
     });
     
-    await scan.save();
-    res.json(scan);
+    res.json({
+      from: summarize(previous),
+      to: summarize(current),
+      scoreDelta: diff.scoreDelta,
+      counts: diff.counts,
+      countDeltas: diff.countDeltas,
+      summary: {
+        fixed: diff.fixed.length,
+        new: diff.added.length,
+        unchanged: diff.unchanged.length
+      },
+      fixed: diff.fixed,
+      new: diff.added,
+      unchanged: diff.unchanged
+    });
   } catch (err) {
-    console.error('Scan error:', err);
+    console.error('Scan diff error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // GET a specific scan by ID
-router.get('/:id', authMiddleware, async (req, res) => {
-  try {
-    const scan = await ScanResult.findById(req.params.id);
-    
-    if (!scan) {
-      return res.status(404).json({ error: 'Scan not found' });
+router.get('/:id',
+  authMiddleware.required,
+  requireScope('history:read'),
+  requireRole('viewer', req => ScanResult.findById(req.params.id), { notFound: 'Scan not found' }),
+  (req, res) => {
+    res.json(req.resource);
+  }
+);
+
+// GET /api/scan/:id/export?format=html|pdf|csv|sarif
+router.get('/:id/export',
+  authMiddleware.required,
+  requireScope('history:read'),
+  requireRole('viewer', req => ScanResult.findById(req.params.id).lean(), { notFound: 'Scan not found' }),
+  async (req, res) => {
+    try {
+      // A repeated ?format= arrives as an array
+      const requested = req.query.format || 'html';
+      const format = typeof requested === 'string' ? requested.toLowerCase() : null;
+      if (!format || !Object.hasOwn(FORMATS, format)) {
+        return res.status(400).json({ error: `format must be one of ${Object.keys(FORMATS).join(', ')}` });
+      }
+      
+      const { body, contentType, filename } = await renderReport(req.resource, format);
+      res.type(contentType).attachment(filename).send(body);
+    } catch (err) {
+      console.error('Scan export error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Load a scan with what its screenshot routes need, answering 404 when it
+// has no screenshot (in the `viewport` asked for, if any)
+const loadScreenshotScan = [
+  requireRole('viewer', req => ScanResult.findById(req.params.id).select('screenshot viewports issues user project').lean(), { notFound: 'Scan not found' }),
+  (req, res, next) => {
+    req.viewport = req.query.viewport ? String(req.query.viewport) : null;
+    if (!screenshotView(req.resource, req.viewport)) {
+      return res.status(404).json({ error: req.viewport ? `No screenshot for viewport ${req.viewport}` : 'This scan has no screenshot' });
+    }
+    next();
+  }
+];
+
+// GET /api/scan/:id/screenshot[?types=error,warning][&raw=true][&viewport=<name>]
+// The full-page screenshot with a numbered box on the element of each issue
+// of `types` (all by default). Numbers are positions in the scan's `issues`,
+// counting from 1. With raw=true the screenshot is returned as taken. A
+// multi-viewport scan has one screenshot per viewport; the first is the default.
+router.get('/:id/screenshot',
+  authMiddleware.required,
+  requireScope('history:read'),
+  ...loadScreenshotScan,
+  async (req, res) => {
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+      : ISSUE_TYPES;
+    if (!types.length || types.some(type => !ISSUE_TYPES.includes(type))) {
+      return res.status(400).json({ error: `types must be a list of ${ISSUE_TYPES.join(', ')}` });
     }
     
-    // Check if the scan belongs to the authenticated user
-    if (req.user && scan.user && scan.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    try {
+      const image = req.query.raw === 'true'
+        ? await readScreenshot(req.resource, { viewport: req.viewport })
+        : await renderAnnotatedScreenshot(req.resource, { types, viewport: req.viewport });
+      if (!image) {
+        return res.status(404).json({ error: 'The screenshot is no longer stored' });
+      }
+      res.type('png').send(image);
+    } catch (err) {
+      console.error('Screenshot error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// GET /api/scan/:id/screenshot/issues/:number[?viewport=<name>]
+// A crop of the screenshot around one issue, `number` being the label it has
+// on the annotated screenshot
+router.get('/:id/screenshot/issues/:number',
+  authMiddleware.required,
+  requireScope('history:read'),
+  ...loadScreenshotScan,
+  async (req, res) => {
+    const number = parseInt(req.params.number, 10);
+    if (!(number >= 1 && number <= req.resource.issues.length)) {
+      return res.status(404).json({ error: 'Issue not found' });
     }
     
-    res.json(scan);
-  } catch (err) {
-    console.error('Error getting scan:', err);
-    res.status(500).json({ error: err.message });
+    try {
+      const image = await renderIssueThumbnail(req.resource, number, { viewport: req.viewport });
+      if (!image) {
+        return res.status(404).json({ error: 'This issue has no position on the screenshot' });
+      }
+      res.type('png').send(image);
+    } catch (err) {
+      console.error('Screenshot thumbnail error:', err);
+      res.status(500).json({ error: err.message });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,95 @@
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+const ScanResult = require('../models/ScanResult');
+const SiteScan = require('../models/SiteScan');
+const ScanJob = require('../models/ScanJob');
+const Monitor = require('../models/Monitor');
+const MonitorRun = require('../models/MonitorRun');
+const ScanProfile = require('../models/ScanProfile');
+const RefreshToken = require('../models/RefreshToken');
+const AccountToken = require('../models/AccountToken');
+const ApiKey = require('../models/ApiKey');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const IssueTriage = require('../models/IssueTriage');
+const { removeImages } = require('./imageStore');
+
+// Organizations the user can't leave: they are the last owner and other
+// members remain. Ownership has to be handed over before deleting the account.
+async function findBlockingOrganizations(user) {
+  const organizations = await Organization.find({ 'members.user': user._id });
+  return organizations.filter(org => {
+    const owners = org.members.filter(m => m.role === 'owner');
+    return org.members.length > 1 && owners.length === 1 && owners[0].user.toString() === user._id.toString();
+  });
+}
+
+// Delete scans, site scans, jobs, monitors, webhooks and triage entries matching `query`
+async function deleteScanData(query) {
+  const monitors = await Monitor.find(query).select('_id');
+  const webhooks = await Webhook.find(query).select('_id');
+  const screenshots = await ScanResult.find({ ...query, 'screenshot.key': { $exists: true } })
+    .select('screenshot.key viewports.screenshot.key')
+    .lean();
+  const [scans, siteScans] = await Promise.all([
+    ScanResult.deleteMany(query),
+    SiteScan.deleteMany(query),
+    ScanJob.deleteMany(query),
+    MonitorRun.deleteMany({ monitor: { $in: monitors.map(m => m._id) } }),
+    Monitor.deleteMany(query),
+    WebhookDelivery.deleteMany({ webhook: { $in: webhooks.map(w => w._id) } }),
+    Webhook.deleteMany(query),
+    IssueTriage.deleteMany(query)
+  ]);
+  
+  // Images live outside the database; a store that fails here leaves files
+  // no scan points at any more, which isn't worth failing the deletion for
+  const keys = screenshots.flatMap(scan => [scan.screenshot, ...(scan.viewports || []).map(v => v.screenshot)])
+    .filter(screenshot => screenshot && screenshot.key)
+    .map(screenshot => screenshot.key);
+  for (const key of new Set(keys)) {
+    await removeImages(key).catch(err => {
+      console.error(`Could not remove screenshot ${key}:`, err.message);
+    });
+  }
+  return { scans: scans.deletedCount, siteScans: siteScans.deletedCount, monitors: monitors.length };
+}
+
+// Remove a user and everything that is theirs alone. Organizations where they
+// were the only member go too, with their projects. Scans filed under a
+// project that other members still use stay with that project.
+async function deleteAccount(user) {
+  const counts = await deleteScanData({ user: user._id, project: null });
+  
+  const organizations = await Organization.find({ 'members.user': user._id });
+  for (const organization of organizations) {
+    if (organization.members.length === 1) {
+      const projects = await Project.find({ organization: organization._id }).select('_id');
+      const projectData = await deleteScanData({ project: { $in: projects.map(p => p._id) } });
+      counts.scans += projectData.scans;
+      counts.siteScans += projectData.siteScans;
+      counts.monitors += projectData.monitors;
+      
+      await Project.deleteMany({ organization: organization._id });
+      await organization.deleteOne();
+    } else {
+      await Organization.updateOne({ _id: organization._id }, { $pull: { members: { user: user._id } } });
+    }
+  }
+  
+  await Promise.all([
+    ScanProfile.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    AccountToken.deleteMany({ user: user._id }),
+    ApiKey.deleteMany({ user: user._id }),
+    Organization.updateMany({ 'invitations.email': user.email }, { $pull: { invitations: { email: user.email } } })
+  ]);
+  await user.deleteOne();
+  
+  return counts;
+}
+
+module.exports = {
+  findBlockingOrganizations,
+  deleteAccount
+};
@@ -0,0 +1,125 @@
+const axios = require('axios');
+const { Configuration, OpenAIApi } = require('openai');
+const { SYSTEM_PROMPT } = require('./fixPrompt');
+
+// Default time a single provider gets before we move on to the next one
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.FIX_PROVIDER_TIMEOUT_MS, 10) || 20000;
+
+function timeoutFor(name) {
+  return parseInt(process.env[`${name.toUpperCase()}_TIMEOUT_MS`], 10) || DEFAULT_TIMEOUT_MS;
+}
+
+// Google Gemini
+function geminiProvider() {
+  if (!process.env.GEMINI_API_KEY) return null;
+  const model = process.env.GEMINI_MODEL || 'gemini-1.5-pro';
+  
+  return {
+    name: 'gemini',
+    timeout: timeoutFor('gemini'),
+    async complete(prompt, { timeout }) {
+      const response = await axios.post(
+        `https://generativelanguage.googleapis.com/v1/models/${model}:generateContent`,
+        {
+          contents: [{ parts: [{ text: `${SYSTEM_PROMPT}\n\n${prompt}` }] }],
+          generationConfig: { temperature: 0.2 }
+        },
+        {
+          params: { key: process.env.GEMINI_API_KEY },
+          headers: { 'Content-Type': 'application/json' },
+          timeout
+        }
+      );
+      return response.data.candidates?.[0]?.content?.parts?.[0]?.text;
+    }
+  };
+}
+
+// Any endpoint speaking the OpenAI chat completions API
+function openAICompatibleProvider(name, { apiKey, basePath, model }) {
+  const openai = new OpenAIApi(new Configuration({ apiKey, basePath }));
+  
+  return {
+    name,
+    timeout: timeoutFor(name),
+    async complete(prompt, { timeout }) {
+      const completion = await openai.createChatCompletion({
+        model,
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: prompt }
+        ],
+        max_tokens: 800,
+        temperature: 0.2
+      }, { timeout });
+      return completion.data.choices?.[0]?.message?.content;
+    }
+  };
+}
+
+function openAIProvider() {
+  if (!process.env.OPENAI_API_KEY) return null;
+  return openAICompatibleProvider('openai', {
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo'
+  });
+}
+
+// Self-hosted model, e.g. Ollama at http://localhost:11434/v1
+function localProvider() {
+  if (!process.env.LOCAL_AI_BASE_URL) return null;
+  return openAICompatibleProvider('local', {
+    apiKey: process.env.LOCAL_AI_API_KEY || 'local',
+    basePath: process.env.LOCAL_AI_BASE_URL.replace(/\/$/, ''),
+    model: process.env.LOCAL_AI_MODEL || 'llama3'
+  });
+}
+
+const FACTORIES = {
+  gemini: geminiProvider,
+  openai: openAIProvider,
+  local: localProvider
+};
+
+// Configured providers in fallback order. FIX_PROVIDERS (e.g. "local,openai")
+// picks and orders them; providers without credentials are skipped.
+function getProviders() {
+  const order = (process.env.FIX_PROVIDERS || 'gemini,openai,local')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => FACTORIES[name]);
+  
+  return order.map(name => FACTORIES[name]()).filter(Boolean);
+}
+
+function describeError(err) {
+  if (err.code === 'ECONNABORTED') return 'timed out';
+  const data = err?.response?.data;
+  return data?.error?.message || (typeof data === 'string' ? data : null) || err.message;
+}
+
+// Try each provider in order until one returns a usable answer.
+// `parse` turns the raw text into a result and throws if it is unusable.
+// Resolves with `{ provider, result }`, or null when every provider failed;
+// `failures` lists what went wrong with each.
+async function completeWithFallback(prompt, parse, providers = getProviders()) {
+  const failures = [];
+  
+  for (const provider of providers) {
+    try {
+      const text = await provider.complete(prompt, { timeout: provider.timeout });
+      return { provider: provider.name, result: parse(text), failures };
+    } catch (err) {
+      const reason = describeError(err);
+      console.error(`Fix provider ${provider.name} failed:`, reason);
+      failures.push({ provider: provider.name, error: reason });
+    }
+  }
+  
+  return { provider: null, result: null, failures };
+}
+
+module.exports = {
+  getProviders,
+  completeWithFallback
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const ScanResult = require('../models/ScanResult');
+const { suggestFix } = require('./fixService');
+
+// How many fix suggestions are generated at the same time
+const BATCH_CONCURRENCY = parseInt(process.env.FIX_BATCH_CONCURRENCY, 10) || 3;
+
+// Issues with the same code on the same markup need the same fix, wherever
+// they are on the page, so they are answered once. Only whitespace is
+// normalized: unlike fingerprints, two images with different `src` need
+// different alt text.
+function fixKey(issue) {
+  const context = String(issue.context || '').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha1')
+    .update(`${issue.code || ''}|${context}`)
+    .digest('hex');
+}
+
+// Unique problems in a scan, each with the indexes of the issues it covers
+function groupIssues(issues) {
+  const groups = new Map();
+  
+  (issues || []).forEach((issue, index) => {
+    if (!issue.context) return;
+    
+    const key = fixKey(issue);
+    if (!groups.has(key)) groups.set(key, { key, issue, issueIndexes: [] });
+    groups.get(key).issueIndexes.push(index);
+  });
+  
+  return [...groups.values()];
+}
+
+// Generate fixes for every unique problem in a scan. Fixes already stored on
+// the scan are reused unless `refresh` is set; new ones are saved as they
+// finish. `onFix(fix)` and `onError(group, err)` are called per group, and
+// `isCancelled()` is checked before starting each one.
+async function runBatchFix(scan, { refresh = false, onStart = () => {}, onFix = () => {}, onError = () => {}, isCancelled = () => false } = {}) {
+  const groups = groupIssues(scan.issues);
+  const stored = new Map(refresh ? [] : (scan.fixes || []).map(fix => [fix.key, fix]));
+  const pending = groups.filter(group => !stored.has(group.key));
+  const summary = { total: groups.length, cached: groups.length - pending.length, generated: 0, failed: 0 };
+  
+  onStart(summary);
+  
+  for (const group of groups) {
+    const fix = stored.get(group.key);
+    if (fix) onFix({ ...fix, issueIndexes: group.issueIndexes, cached: true });
+  }
+  
+  if (refresh && pending.length) {
+    await ScanResult.updateOne({ _id: scan._id }, { $pull: { fixes: { key: { $in: pending.map(g => g.key) } } } });
+  }
+  
+  let next = 0;
+  const worker = async () => {
+    while (next < pending.length && !isCancelled()) {
+      const group = pending[next++];
+      try {
+        const suggestion = await suggestFix(group.issue.context, group.issue);
+        // Not stored, or later batches would serve the failure as a cached fix
+        if (suggestion.provider === 'none') {
+          throw new Error('No AI provider could generate a fix');
+        }
+        
+        const fix = {
+          key: group.key,
+          code: group.issue.code,
+          fixedHtml: suggestion.fixedHtml,
+          explanation: suggestion.explanation,
+          provider: suggestion.provider,
+          confidence: suggestion.confidence,
+          diff: suggestion.diff || null,
+          issueIndexes: group.issueIndexes,
+          createdAt: new Date()
+        };
+        
+        // Replace any fix stored under the same key in one update, so workers
+        // and concurrent batches for the scan leave a single entry per key
+        await ScanResult.updateOne({ _id: scan._id }, [{
+          $set: {
+            fixes: {
+              $concatArrays: [
+                { $filter: { input: { $ifNull: ['$fixes', []] }, cond: { $ne: ['$$this.key', fix.key] } } },
+                [{ $literal: fix }]
+              ]
+            }
+          }
+        }]);
+        summary.generated++;
+        onFix({ ...fix, cached: false });
+      } catch (err) {
+        summary.failed++;
+        onError(group, err);
+      }
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, pending.length) }, worker));
+  return summary;
+}
+
+module.exports = {
+  fixKey,
+  groupIssues,
+  runBatchFix
+};
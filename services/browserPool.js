@@ -0,0 +1,151 @@
+const puppeteer = require('puppeteer');
+
+// Most Chromium processes alive at once; further scans wait for a free one
+const MAX_BROWSERS = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2;
+// Restart a browser after this many pages, to keep Chromium's memory in check
+const MAX_USES = parseInt(process.env.BROWSER_MAX_USES, 10) || 20;
+// Close browsers nobody used for this long
+const IDLE_MS = parseInt(process.env.BROWSER_IDLE_MS, 10) || 60 * 1000;
+// How long a caller waits for a browser before giving up
+const ACQUIRE_TIMEOUT_MS = parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT_MS, 10) || 2 * 60 * 1000;
+
+const entries = new Set();
+const waiters = [];
+let launching = 0;
+const counters = { launched: 0, recycled: 0, crashed: 0, pagesServed: 0 };
+
+// Use Puppeteer with more options for better analysis
+function launchBrowser() {
+  return puppeteer.launch({ 
+    headless: "new",
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+}
+
+async function closeEntry(entry) {
+  entries.delete(entry);
+  clearTimeout(entry.idleTimer);
+  try {
+    await entry.browser.close();
+  } catch (err) {
+    // Already gone
+  }
+}
+
+async function createEntry() {
+  launching++;
+  try {
+    const browser = await launchBrowser();
+    const entry = { browser, busy: true, uses: 0, idleTimer: null };
+    counters.launched++;
+    
+    // A crashed or killed Chromium leaves the pool; the next caller gets a new one
+    browser.on('disconnected', () => {
+      if (entries.has(entry)) {
+        counters.crashed++;
+        entries.delete(entry);
+        clearTimeout(entry.idleTimer);
+        wakeNext();
+      }
+    });
+    
+    entries.add(entry);
+    return entry;
+  } finally {
+    launching--;
+  }
+}
+
+// Hand a free browser (or room for a new one) to the longest waiting caller
+function wakeNext() {
+  while (waiters.length) {
+    const idle = [...entries].find(entry => !entry.busy);
+    if (idle) {
+      const waiter = waiters.shift();
+      clearTimeout(waiter.timer);
+      idle.busy = true;
+      clearTimeout(idle.idleTimer);
+      waiter.resolve(idle);
+    } else if (entries.size + launching < MAX_BROWSERS) {
+      const waiter = waiters.shift();
+      clearTimeout(waiter.timer);
+      createEntry().then(waiter.resolve, err => {
+        waiter.reject(err);
+        wakeNext();
+      });
+    } else {
+      return;
+    }
+  }
+}
+
+function acquire() {
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiter.timer = setTimeout(() => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      reject(new Error('Timed out waiting for a free browser'));
+    }, ACQUIRE_TIMEOUT_MS);
+    waiters.push(waiter);
+    wakeNext();
+  });
+}
+
+function release(entry) {
+  entry.uses++;
+  if (!entries.has(entry)) {
+    // Crashed while in use
+  } else if (entry.uses >= MAX_USES || !entry.browser.isConnected()) {
+    counters.recycled++;
+    closeEntry(entry);
+  } else {
+    entry.busy = false;
+    entry.idleTimer = setTimeout(() => closeEntry(entry), IDLE_MS);
+    entry.idleTimer.unref();
+  }
+  wakeNext();
+}
+
+// Run `fn(page)` on a fresh page of a pooled browser. Each page lives in its
+// own incognito context, so cookies and storage never leak between scans,
+// and the context is always closed afterwards.
+async function withPage(fn) {
+  const entry = await acquire();
+  let context;
+  
+  try {
+    context = await entry.browser.createIncognitoBrowserContext();
+    const page = await context.newPage();
+    counters.pagesServed++;
+    return await fn(page);
+  } finally {
+    if (context) {
+      await context.close().catch(() => {});
+    }
+    release(entry);
+  }
+}
+
+function stats() {
+  const busy = [...entries].filter(entry => entry.busy).length;
+  return {
+    maxSize: MAX_BROWSERS,
+    size: entries.size,
+    busy,
+    idle: entries.size - busy,
+    launching,
+    waiting: waiters.length,
+    ...counters
+  };
+}
+
+// Close every browser, e.g. on shutdown
+async function closeAll() {
+  await Promise.all([...entries].map(closeEntry));
+}
+
+module.exports = {
+  withPage,
+  stats,
+  closeAll
+};
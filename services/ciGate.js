@@ -0,0 +1,189 @@
+const { fingerprintIssue } = require('./fingerprint');
+const { LEVELS } = require('./wcag');
+const { annotateIssue, calculateScore } = require('./scoring');
+const { describeTarget } = require('./uploads');
+
+// Offending issues listed per failed check, to keep responses readable
+const MAX_LISTED_ISSUES = 50;
+
+// Validate the thresholds of a gate. Without any threshold, a single error fails it.
+// `baseline` lists fingerprints (or issues carrying one) of known issues to ignore.
+function parseGate(input = {}) {
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('gate must be an object');
+  }
+  
+  const gate = {};
+  
+  if (input.maxErrors !== undefined && input.maxErrors !== null) {
+    if (!Number.isInteger(input.maxErrors) || input.maxErrors < 0) {
+      throw new Error('maxErrors must be a whole number of 0 or more');
+    }
+    gate.maxErrors = input.maxErrors;
+  }
+  
+  if (input.minScore !== undefined && input.minScore !== null) {
+    if (typeof input.minScore !== 'number' || input.minScore < 0 || input.minScore > 100) {
+      throw new Error('minScore must be a number between 0 and 100');
+    }
+    gate.minScore = input.minScore;
+  }
+  
+  if (input.failOnLevels !== undefined) {
+    if (!Array.isArray(input.failOnLevels) || input.failOnLevels.some(level => !LEVELS.includes(level))) {
+      throw new Error(`failOnLevels must be a list of ${LEVELS.join(', ')}`);
+    }
+    gate.failOnLevels = [...new Set(input.failOnLevels)];
+  }
+  
+  if (input.baseline !== undefined) {
+    if (!Array.isArray(input.baseline)) throw new Error('baseline must be a list of fingerprints');
+    gate.baseline = input.baseline.map(entry => (entry && typeof entry === 'object' ? entry.fingerprint : entry));
+    if (gate.baseline.some(fingerprint => typeof fingerprint !== 'string' || !fingerprint)) {
+      throw new Error('baseline must be a list of fingerprints');
+    }
+  }
+  
+  if (gate.maxErrors === undefined && gate.minScore === undefined && !gate.failOnLevels) {
+    gate.maxErrors = 0;
+  }
+  return gate;
+}
+
+function summarizeIssue(issue) {
+  return {
+    fingerprint: issue.fingerprint,
+    type: issue.type,
+    code: issue.code,
+    message: issue.message,
+    selector: issue.selector,
+    wcag: issue.wcag || null
+  };
+}
+
+function countByType(issues) {
+  return {
+    error: issues.filter(issue => issue.type === 'error').length,
+    warning: issues.filter(issue => issue.type === 'warning').length,
+    notice: issues.filter(issue => issue.type === 'notice').length
+  };
+}
+
+// Judge a stored scan against a gate. Baseline issues and issues suppressed
+// through triage are removed first, and the score is recalculated over what remains.
+function evaluateGate(scan, gate) {
+  const baseline = new Set(gate.baseline || []);
+  const all = (scan.issues || []).map(issue => ({
+    ...(issue.wcag === undefined ? annotateIssue(issue) : issue),
+    fingerprint: fingerprintIssue(issue)
+  }));
+  const issues = all.filter(issue => !baseline.has(issue.fingerprint) && !issue.suppressed);
+  const errors = issues.filter(issue => issue.type === 'error');
+  const standard = scan.options && scan.options.standard;
+  const score = calculateScore(issues, standard);
+  
+  const checks = [];
+  
+  if (gate.maxErrors !== undefined) {
+    checks.push({
+      name: 'maxErrors',
+      passed: errors.length <= gate.maxErrors,
+      message: `${errors.length} error(s), at most ${gate.maxErrors} allowed`,
+      issues: errors
+    });
+  }
+  
+  if (gate.minScore !== undefined) {
+    checks.push({
+      name: 'minScore',
+      passed: score >= gate.minScore,
+      message: `Score ${score}, at least ${gate.minScore} required`,
+      issues: []
+    });
+  }
+  
+  for (const level of gate.failOnLevels || []) {
+    const failing = errors.filter(issue => issue.wcag && issue.wcag.level === level);
+    checks.push({
+      name: `level${level}`,
+      passed: failing.length === 0,
+      message: `${failing.length} error(s) against WCAG level ${level} criteria`,
+      issues: failing
+    });
+  }
+  
+  const failed = checks.filter(check => !check.passed);
+  
+  return {
+    passed: failed.length === 0,
+    reasons: failed.map(check => check.message),
+    scan: { id: scan._id, url: describeTarget(scan), createdAt: scan.createdAt },
+    score,
+    counts: countByType(issues),
+    suppressed: all.length - issues.length,
+    checks: checks.map(check => ({
+      name: check.name,
+      passed: check.passed,
+      message: check.message,
+      issues: check.passed ? [] : check.issues.slice(0, MAX_LISTED_ISSUES).map(summarizeIssue)
+    })),
+    // Fingerprints of every current issue, ready to store as the next baseline
+    baseline: [...new Set(all.map(issue => issue.fingerprint))]
+  };
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// JUnit XML with one test case per check, for CI test reporters
+function renderJUnit(result) {
+  const name = `Accessibility: ${result.scan.url}`;
+  const failures = result.checks.filter(check => !check.passed).length;
+  const tests = result.checks.length;
+  
+  const cases = result.checks.map(check => {
+    const testcase = `    <testcase classname="accessibility.gate" name="${escapeXml(check.name)}"`;
+    if (check.passed) return `${testcase}/>`;
+    
+    const details = check.issues
+      .map(issue => `[${issue.code}] ${issue.selector || ''}: ${issue.message}`)
+      .join('\n');
+    return [
+      `${testcase}>`,
+      `      <failure type="${escapeXml(check.name)}" message="${escapeXml(check.message)}">${escapeXml(details)}</failure>`,
+      '    </testcase>'
+    ].join('\n');
+  });
+  
+  // A failed scan has no score
+  const properties = [['score', result.score], ['suppressed', result.suppressed]]
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `      <property name="${key}" value="${escapeXml(String(value))}"/>`);
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="AssessSight" tests="${tests}" failures="${failures}">`,
+    `  <testsuite name="${escapeXml(name)}" tests="${tests}" failures="${failures}" timestamp="${new Date(result.scan.createdAt || Date.now()).toISOString()}">`,
+    '    <properties>',
+    ...properties,
+    '    </properties>',
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  parseGate,
+  evaluateGate,
+  renderJUnit
+};
@@ -0,0 +1,108 @@
+// WCAG relative luminance / contrast ratio helpers
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  gray: '#808080',
+  grey: '#808080',
+  silver: '#c0c0c0',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  orange: '#ffa500',
+  purple: '#800080',
+  navy: '#000080',
+  teal: '#008080',
+  maroon: '#800000',
+  olive: '#808000',
+  lime: '#00ff00',
+  aqua: '#00ffff',
+  fuchsia: '#ff00ff',
+  lightgray: '#d3d3d3',
+  lightgrey: '#d3d3d3',
+  darkgray: '#a9a9a9',
+  darkgrey: '#a9a9a9'
+};
+
+// Parse #rgb, #rrggbb, rgb()/rgba() or a basic named color into [r, g, b]
+function parseColor(value) {
+  if (!value) return null;
+  const color = String(value).trim().toLowerCase();
+  
+  if (NAMED_COLORS[color]) return parseColor(NAMED_COLORS[color]);
+  
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(color);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+  }
+  
+  const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(color);
+  if (rgb) return rgb.slice(1, 4).map(Number).map(n => Math.min(255, n));
+  
+  return null;
+}
+
+function toHex(rgb) {
+  return '#' + rgb.map(n => Math.round(n).toString(16).padStart(2, '0')).join('');
+}
+
+function relativeLuminance(rgb) {
+  const [r, g, b] = rgb.map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(foreground, background) {
+  const l1 = relativeLuminance(foreground);
+  const l2 = relativeLuminance(background);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+function mix(from, to, amount) {
+  return from.map((channel, i) => channel + (to[i] - channel) * amount);
+}
+
+// Smallest change to `foreground` (mixing it towards black or white) that
+// reaches `targetRatio` against `background`. Returns a hex color, or null if
+// neither direction can reach the target.
+function nearestCompliantColor(foreground, background, targetRatio) {
+  const fg = parseColor(foreground);
+  const bg = parseColor(background);
+  if (!fg || !bg) return null;
+  if (contrastRatio(fg, bg) >= targetRatio) return toHex(fg);
+  
+  const candidates = [[0, 0, 0], [255, 255, 255]].map(extreme => {
+    if (contrastRatio(extreme, bg) < targetRatio) return null;
+    
+    // Binary search the smallest mix amount that passes
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 20; i++) {
+      const mid = (low + high) / 2;
+      if (contrastRatio(mix(fg, extreme, mid), bg) >= targetRatio) high = mid;
+      else low = mid;
+    }
+    
+    // Rounding to whole channels can land just under the target
+    let color = mix(fg, extreme, high).map(Math.round);
+    while (contrastRatio(color, bg) < targetRatio) {
+      color = color.map((channel, i) => channel + Math.sign(extreme[i] - channel));
+    }
+    return { amount: high, color };
+  }).filter(Boolean);
+  
+  if (!candidates.length) return null;
+  candidates.sort((a, b) => a.amount - b.amount);
+  return toHex(candidates[0].color);
+}
+
+module.exports = {
+  parseColor,
+  toHex,
+  contrastRatio,
+  nearestCompliantColor
+};
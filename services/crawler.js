@@ -0,0 +1,235 @@
+const axios = require('axios');
+const robotsParser = require('robots-parser');
+const { runPageScan } = require('./scanRunner');
+const { buildConformance } = require('./scoring');
+const { fingerprintIssue } = require('./fingerprint');
+const { loadUrlPolicy, blockReason } = require('./urlPolicy');
+
+const USER_AGENT = 'AssessSightBot';
+
+const DEFAULT_SETTINGS = {
+  maxDepth: 2,
+  maxPages: 10,
+  include: [],
+  exclude: [],
+  respectRobots: true
+};
+
+// Hard caps so a single crawl can't tie up the worker indefinitely
+const MAX_DEPTH_LIMIT = 5;
+const MAX_PAGES_LIMIT = 50;
+
+// Redirects followed when fetching robots.txt, each checked against the URL policy
+const MAX_ROBOTS_REDIRECTS = 5;
+
+// Links to these file types are never HTML pages worth auditing
+const NON_PAGE_EXTENSIONS = /\.(?:pdf|zip|gz|tar|rar|7z|jpe?g|png|gif|svg|webp|ico|mp3|mp4|avi|mov|webm|css|js|json|xml|txt|docx?|xlsx?|pptx?)$/i;
+
+// Validate and clamp user supplied crawl settings
+function normalizeSettings(input = {}) {
+  const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+  const toList = value => (Array.isArray(value) ? value : value ? [value] : [])
+    .filter(pattern => typeof pattern === 'string' && pattern.trim())
+    .map(pattern => pattern.trim());
+  
+  return {
+    maxDepth: Math.min(Math.max(toInt(input.maxDepth, DEFAULT_SETTINGS.maxDepth), 0), MAX_DEPTH_LIMIT),
+    maxPages: Math.min(Math.max(toInt(input.maxPages, DEFAULT_SETTINGS.maxPages), 1), MAX_PAGES_LIMIT),
+    include: toList(input.include),
+    exclude: toList(input.exclude),
+    respectRobots: input.respectRobots !== false
+  };
+}
+
+// Turn a path pattern such as "/blog/*" into a RegExp. "*" matches anything,
+// everything else is literal, and a pattern matches any path it prefixes.
+function patternToRegExp(pattern) {
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}`);
+}
+
+function matchesAny(pathname, patterns) {
+  return patterns.some(pattern => patternToRegExp(pattern).test(pathname));
+}
+
+// Canonical form used to avoid scanning the same page twice
+function normalizePageUrl(href, base) {
+  try {
+    const url = new URL(href, base);
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    url.hash = '';
+    return url.toString();
+  } catch (err) {
+    return null;
+  }
+}
+
+async function loadRobots(origin, policy) {
+  const robotsUrl = `${origin}/robots.txt`;
+  try {
+    let location = robotsUrl;
+    let response;
+    for (let hop = 0; hop <= MAX_ROBOTS_REDIRECTS; hop++) {
+      const reason = await blockReason(location, policy);
+      if (reason) throw new Error(`blocked ${location}: ${reason}`);
+      
+      response = await axios.get(location, {
+        timeout: 10000,
+        responseType: 'text',
+        headers: { 'User-Agent': USER_AGENT },
+        maxRedirects: 0,
+        validateStatus: status => status < 500
+      });
+      if (!(response.status >= 300 && response.status < 400 && response.headers.location)) break;
+      location = new URL(response.headers.location, location).toString();
+    }
+    // A missing robots.txt means everything is allowed
+    return robotsParser(robotsUrl, response.status === 200 ? response.data : '');
+  } catch (err) {
+    console.warn(`Could not fetch ${robotsUrl}:`, err.message);
+    return robotsParser(robotsUrl, '');
+  }
+}
+
+// Reason a discovered URL should not be scanned, or null if it should
+function skipReason(url, seed, settings, robots) {
+  const target = new URL(url);
+  
+  if (target.origin !== seed.origin) return 'external';
+  if (NON_PAGE_EXTENSIONS.test(target.pathname)) return 'not-html';
+  if (settings.include.length && !matchesAny(target.pathname, settings.include)) return 'not-included';
+  if (settings.exclude.length && matchesAny(target.pathname, settings.exclude)) return 'excluded';
+  if (robots && robots.isAllowed(url, USER_AGENT) === false) return 'robots';
+  return null;
+}
+
+// Breadth-first crawl from the seed URL, scanning every accepted page with
+// `scanOptions` (and the `auth` profile, if any) under the URL `policy`. `onPage(results, url)` is called for each scanned page and
+// should persist it and resolve with the stored document.
+async function crawlSite(seedUrl, input, { scanOptions, auth = null, policy = null, onPage, onProgress = () => {} }) {
+  const settings = normalizeSettings(input);
+  const seed = new URL(seedUrl);
+  const urlPolicy = policy || await loadUrlPolicy(null);
+  const robots = settings.respectRobots ? await loadRobots(seed.origin, urlPolicy) : null;
+  
+  const queue = [{ url: normalizePageUrl(seedUrl), depth: 0 }];
+  const seen = new Set([queue[0].url]);
+  const pages = [];
+  const skipped = [];
+  
+  while (queue.length && pages.length < settings.maxPages) {
+    const { url, depth } = queue.shift();
+    
+    // The seed is always scanned when it's allowed by robots.txt, even if
+    // it doesn't match the include patterns
+    const reason = depth === 0
+      ? (robots && robots.isAllowed(url, USER_AGENT) === false ? 'robots' : null)
+      : skipReason(url, seed, settings, robots);
+    if (reason) {
+      skipped.push({ url, reason });
+      continue;
+    }
+    
+    onProgress(
+      Math.round((pages.length / settings.maxPages) * 90),
+      `Scanning page ${pages.length + 1} of up to ${settings.maxPages}: ${url}`
+    );
+    
+    let results;
+    try {
+      results = await runPageScan(url, { options: scanOptions, auth, policy: urlPolicy });
+    } catch (err) {
+      console.error(`Crawl scan failed for ${url}:`, err.message);
+      skipped.push({ url, reason: `error: ${err.message}` });
+      continue;
+    }
+    
+    const { links = [], ...pageResults } = results;
+    pages.push(await onPage(pageResults, url));
+    
+    if (depth < settings.maxDepth) {
+      for (const link of links) {
+        const next = normalizePageUrl(link, url);
+        if (!next || seen.has(next)) continue;
+        seen.add(next);
+        queue.push({ url: next, depth: depth + 1 });
+      }
+    }
+  }
+  
+  return { settings, pages, skipped };
+}
+
+// Combine per-page scans into site level totals, worst pages and repeated issues
+function aggregatePages(pages) {
+  const byFingerprint = new Map();
+  
+  for (const page of pages) {
+    for (const issue of page.issues || []) {
+      const fingerprint = fingerprintIssue(issue);
+      let entry = byFingerprint.get(fingerprint);
+      if (!entry) {
+        entry = { fingerprint, issue, urls: new Set() };
+        byFingerprint.set(fingerprint, entry);
+      } else if (entry.issue.suppressed && !issue.suppressed) {
+        // Suppressed for one URL only; it still counts for the site
+        entry.issue = issue;
+      }
+      entry.urls.add(page.url);
+    }
+  }
+  
+  const uniqueIssues = [...byFingerprint.values()].map(entry => entry.issue);
+  const countType = type => uniqueIssues.filter(issue => issue.type === type && !issue.suppressed).length;
+  const standard = pages[0] && pages[0].options ? pages[0].options.standard : undefined;
+  const { score, conformance } = buildConformance(uniqueIssues, standard);
+  
+  const commonIssues = [...byFingerprint.values()]
+    .filter(entry => entry.urls.size > 1)
+    .sort((a, b) => b.urls.size - a.urls.size)
+    .map(({ fingerprint, issue, urls }) => ({
+      fingerprint,
+      type: issue.type,
+      code: issue.code,
+      message: issue.message,
+      selector: issue.selector,
+      context: issue.context,
+      pageCount: urls.size,
+      urls: [...urls]
+    }));
+  
+  const worstPages = [...pages]
+    .sort((a, b) => a.score - b.score)
+    .slice(0, 5)
+    .map(page => ({
+      scan: page._id,
+      url: page.url,
+      score: page.score,
+      errorCount: (page.issues || []).filter(issue => issue.type === 'error' && !issue.suppressed).length
+    }));
+  
+  return {
+    pageCount: pages.length,
+    score: pages.length ? score : null,
+    conformance,
+    totals: {
+      errors: countType('error'),
+      warnings: countType('warning'),
+      notices: countType('notice')
+    },
+    worstPages,
+    commonIssues
+  };
+}
+
+module.exports = {
+  normalizeSettings,
+  crawlSite,
+  aggregatePages
+};
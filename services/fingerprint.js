@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Attributes whose values change between builds or page loads without the
+// element itself changing (generated ids, CSP nonces, tracking data, etc.)
+const VOLATILE_ATTRIBUTES = /\s(?:id|nonce|style|data-[\w-]+|aria-describedby|aria-labelledby|aria-controls|aria-owns)="[^"]*"/gi;
+
+// Reduce an issue's HTML context to the parts that identify the element, so
+// that whitespace, reordered classes or regenerated ids don't change it
+function normalizeContext(context) {
+  if (!context) return '';
+  
+  return String(context)
+    .replace(VOLATILE_ATTRIBUTES, '')
+    .replace(/\sclass="([^"]*)"/gi, (match, classes) => {
+      const sorted = classes.split(/\s+/).filter(Boolean).sort().join(' ');
+      return sorted ? ` class="${sorted}"` : '';
+    })
+    // Numbers inside text and URLs are usually counters, dates or cache busters
+    .replace(/\d+/g, '#')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*>\s*/g, '>')
+    .replace(/\s*<\s*/g, '<')
+    .trim()
+    .toLowerCase()
+    .slice(0, 300);
+}
+
+// Drop positional parts of generated selectors (nth-child etc.) and ids that
+// contain digits, which shift when content is added above the element
+function normalizeSelector(selector) {
+  if (!selector) return '';
+  
+  return String(selector)
+    .replace(/:nth-(?:child|of-type)\(\d+\)/g, '')
+    .replace(/#[\w-]*\d[\w-]*/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+// Stable identifier for "the same problem on the same element"
+function fingerprintIssue(issue) {
+  const parts = [
+    issue.code || '',
+    normalizeSelector(issue.selector),
+    normalizeContext(issue.context)
+  ];
+  
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+}
+
+module.exports = {
+  normalizeContext,
+  normalizeSelector,
+  fingerprintIssue
+};
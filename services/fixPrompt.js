@@ -0,0 +1,70 @@
+// Shared prompt for every AI provider, and parsing of their replies into
+// `{ fixedHtml, explanation, confidence }`
+
+const SYSTEM_PROMPT = 'You are an accessibility expert who fixes HTML so it meets WCAG 2.1 AA.';
+
+function buildFixPrompt(html, issue) {
+  return `Given the following HTML and accessibility issue, return a fixed version of the HTML and explain your reasoning.
+
+HTML:
+${html}
+
+Issue:
+${JSON.stringify(issue)}
+
+Reply with only a JSON object, no markdown, in this shape:
+{"fixedHtml": "<the complete fixed HTML snippet>", "explanation": "<one short paragraph>", "confidence": <number between 0 and 1>}`;
+}
+
+function clampConfidence(value, fallback) {
+  const number = Number(value);
+  if (Number.isNaN(number)) return fallback;
+  return Math.min(1, Math.max(0, number));
+}
+
+// Models don't always follow the requested format. Accept plain JSON, JSON in
+// a code fence, or free text with an HTML code block. An answer without any
+// HTML throws, so the next provider is tried.
+function parseFixResponse(text) {
+  const raw = String(text || '').trim();
+  if (!raw) {
+    throw new Error('Empty response');
+  }
+  
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(raw);
+  const candidates = [raw, fenced && fenced[1], raw.slice(raw.indexOf('{'), raw.lastIndexOf('}') + 1)];
+  
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed.fixedHtml === 'string') {
+        return {
+          fixedHtml: parsed.fixedHtml,
+          explanation: String(parsed.explanation || ''),
+          confidence: clampConfidence(parsed.confidence, 0.5)
+        };
+      }
+    } catch (err) {
+      // Try the next candidate
+    }
+  }
+  
+  // Free text: take the first HTML code block as the fix
+  const htmlBlock = /```(?:html)?\s*([\s\S]*?)```/i.exec(raw);
+  if (!htmlBlock || !htmlBlock[1].trim()) {
+    throw new Error('Response contains no fixed HTML');
+  }
+  return {
+    fixedHtml: htmlBlock[1].trim(),
+    explanation: raw.replace(htmlBlock[0], '').trim(),
+    // Unstructured answers are less trustworthy
+    confidence: 0.4
+  };
+}
+
+module.exports = {
+  SYSTEM_PROMPT,
+  buildFixPrompt,
+  parseFixResponse
+};
@@ -0,0 +1,53 @@
+const { completeWithFallback } = require('./aiProviders');
+const { buildFixPrompt, parseFixResponse } = require('./fixPrompt');
+const { fixIssue } = require('./ruleFixer');
+
+// Provide general recommendations based on issue type
+function getGeneralRecommendation(issue) {
+  const issueType = issue.type || 'error';
+  
+  switch(issueType) {
+    case 'error':
+      return 'This is a critical accessibility issue that should be fixed immediately. Consider consulting the WCAG guidelines.';
+    case 'warning':
+      return 'This is a potential accessibility issue that may affect some users. Review the element against WCAG guidelines.';
+    case 'notice':
+      return 'This is a minor accessibility concern that could be improved for better user experience.';
+    default:
+      return 'Review the affected element against WCAG 2.1 accessibility guidelines.';
+  }
+}
+
+// Fix suggestion for one issue. The rule-based fixer answers the issue codes
+// it knows; everything else goes to the AI providers in fallback order.
+// Resolves with `{ fixedHtml, explanation, provider, confidence }`, plus a
+// unified `diff` when the rule-based fixer patched the HTML.
+async function suggestFix(html, issue) {
+  const ruleFix = fixIssue(html, issue);
+  if (ruleFix) {
+    return {
+      fixedHtml: ruleFix.fixedHtml,
+      explanation: ruleFix.explanation,
+      provider: 'rules',
+      confidence: ruleFix.confidence,
+      diff: ruleFix.diff
+    };
+  }
+  
+  const { provider, result } = await completeWithFallback(buildFixPrompt(html, issue), parseFixResponse);
+  if (result) {
+    return { ...result, provider };
+  }
+  
+  // No provider is available or all of them failed
+  return {
+    fixedHtml: null,
+    explanation: `Could not generate an AI-powered fix.\n\nGeneral recommendation: ${getGeneralRecommendation(issue)}`,
+    provider: 'none',
+    confidence: 0
+  };
+}
+
+module.exports = {
+  suggestFix
+};
@@ -0,0 +1,78 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Where scan images are kept, picked with IMAGE_STORE. "local" (default)
+// writes files under IMAGE_STORE_DIR; deployments without a persistent disk
+// register their own backend (S3, GCS...) with registerBackend(). Keys look
+// like "screenshots/<id>/page.png", so a prefix groups the images of a scan.
+const backends = {
+  local: {
+    root() {
+      return path.resolve(process.env.IMAGE_STORE_DIR || path.join(os.tmpdir(), 'assesssight-images'));
+    },
+    
+    // Absolute path of a key, refusing keys that would leave the root
+    resolve(key) {
+      const root = this.root();
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid image key: ${key}`);
+      }
+      return file;
+    },
+    
+    async save(key, buffer) {
+      const file = this.resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    
+    async read(key) {
+      try {
+        return await fs.readFile(this.resolve(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    
+    async removePrefix(prefix) {
+      await fs.rm(this.resolve(prefix), { recursive: true, force: true });
+    }
+  }
+};
+
+// A backend implements `save(key, buffer, contentType)`, `read(key)`
+// resolving with a Buffer or null, and `removePrefix(prefix)`
+function registerBackend(name, backend) {
+  backends[name] = backend;
+}
+
+function backend() {
+  const name = process.env.IMAGE_STORE || 'local';
+  const selected = backends[name];
+  if (!selected) {
+    throw new Error(`Unknown image store: ${name}`);
+  }
+  return selected;
+}
+
+function saveImage(key, buffer, contentType = 'image/png') {
+  return backend().save(key, buffer, contentType);
+}
+
+function readImage(key) {
+  return backend().read(key);
+}
+
+function removeImages(prefix) {
+  return backend().removePrefix(prefix);
+}
+
+module.exports = {
+  registerBackend,
+  saveImage,
+  readImage,
+  removeImages
+};
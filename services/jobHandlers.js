@@ -0,0 +1,269 @@
+const jobQueue = require('./jobQueue');
+const { runPageScan } = require('./scanRunner');
+const { crawlSite, aggregatePages } = require('./crawler');
+const { diffScans } = require('./scanDiff');
+const { evaluateRegression } = require('./scheduler');
+const { resolveScanOptions } = require('./scanOptions');
+const { loadUploadFiles, serveFiles, describeTarget } = require('./uploads');
+const ScanJob = require('../models/ScanJob');
+const ScanResult = require('../models/ScanResult');
+const SiteScan = require('../models/SiteScan');
+const Monitor = require('../models/Monitor');
+const MonitorRun = require('../models/MonitorRun');
+const User = require('../models/User');
+const ScanProfile = require('../models/ScanProfile');
+const { hasScanQuota, consumeScanQuota } = require('./scanQuota');
+const { emitEvent } = require('./webhooks');
+const { loadUrlPolicy } = require('./urlPolicy');
+const { loadTriage, applyTriage } = require('./triage');
+
+// Load and decrypt the scan profile a job refers to
+async function loadProfile(profileId) {
+  if (!profileId) return null;
+  
+  const profile = await ScanProfile.findById(profileId);
+  if (!profile) {
+    throw new Error('Scan profile no longer exists');
+  }
+  return profile;
+}
+
+// Run pa11y on one URL and store the result
+async function scanPage(url, { user, project, options, profile, onProgress }) {
+  if (!(await consumeScanQuota(user))) {
+    throw new Error('Monthly scan quota exceeded');
+  }
+  
+  const auth = profile ? profile.toScanAuth() : null;
+  // Checked again when the scan runs: DNS and the organization's lists may have changed
+  const policy = await loadUrlPolicy(project);
+  const { links, ...results } = await runPageScan(url, { options, auth, policy, onProgress });
+  const triage = await loadTriage({ user, project });
+  
+  return ScanResult.create({
+    url,
+    ...applyTriage(results, triage, url),
+    profile: profile ? profile._id : null,
+    project: project || null,
+    user: user || null
+  });
+}
+
+// Scan an uploaded HTML document or static site. The files are served from a
+// temporary local origin, the only private address the page may reach.
+async function scanUpload(upload, { user, project, options, onProgress }) {
+  if (!(await consumeScanQuota(user))) {
+    throw new Error('Monthly scan quota exceeded');
+  }
+  
+  const { files, entry } = await loadUploadFiles(upload);
+  const policy = await loadUrlPolicy(project);
+  const entryPath = entry.split('/').map(encodeURIComponent).join('/');
+  const { links, pageUrl, ...results } = await serveFiles(files, origin => runPageScan(`${origin}/${entryPath}`, {
+    options,
+    policy: { ...policy, trustedOrigins: [origin] },
+    onProgress
+  }));
+  
+  const triage = await loadTriage({ user, project });
+  
+  return ScanResult.create({
+    ...applyTriage(results, triage, null),
+    source: { kind: upload.kind, name: upload.name, entry: upload.kind === 'archive' ? entry : undefined, sha256: upload.sha256 },
+    project: project || null,
+    user: user || null
+  });
+}
+
+// Crawl a site, scanning every accepted page, then store the aggregate report
+async function scanSite(url, settings, { user, project, options, profile, onProgress }) {
+  // Crawled pages count one by one, so a crawl may end slightly over the quota
+  const owner = user && await User.findById(user).select('scanQuota scanUsage');
+  if (owner && !hasScanQuota(owner)) {
+    throw new Error('Monthly scan quota exceeded');
+  }
+  
+  const siteScan = new SiteScan({
+    seedUrl: url,
+    profile: profile ? profile._id : null,
+    project: project || null,
+    user: user || null
+  });
+  
+  const triage = await loadTriage({ user, project });
+  const crawl = await crawlSite(url, settings, {
+    scanOptions: options,
+    auth: profile ? profile.toScanAuth() : null,
+    policy: await loadUrlPolicy(project),
+    onProgress,
+    onPage: async (results, pageUrl) => {
+      await consumeScanQuota(user, 1, { enforce: false });
+      return ScanResult.create({
+        url: pageUrl,
+        ...applyTriage(results, triage, pageUrl),
+        siteScan: siteScan._id,
+        profile: siteScan.profile,
+        project: siteScan.project,
+        user: user || null
+      });
+    }
+  });
+  
+  if (!crawl.pages.length) {
+    throw new Error(`No pages could be scanned (${crawl.skipped.map(s => `${s.url}: ${s.reason}`).join('; ')})`);
+  }
+  
+  onProgress(95, 'Building site report');
+  Object.assign(siteScan, aggregatePages(crawl.pages), {
+    settings: crawl.settings,
+    pages: crawl.pages.map(page => page._id),
+    skipped: crawl.skipped
+  });
+  
+  return siteScan.save();
+}
+
+// Issues and score to compare between monitor runs. Site runs compare the
+// issues of every crawled page against the site score.
+async function loadComparable(run) {
+  if (run.scan) {
+    return ScanResult.findById(run.scan).select('score issues').lean();
+  }
+  if (run.siteScan) {
+    const siteScan = await SiteScan.findById(run.siteScan).select('score pages').lean();
+    if (!siteScan) return null;
+    const pages = await ScanResult.find({ _id: { $in: siteScan.pages } }).select('issues').lean();
+    return { score: siteScan.score, issues: pages.flatMap(page => page.issues) };
+  }
+  return null;
+}
+
+// Single page scan
+jobQueue.registerHandler('page', async (job, reportProgress) => {
+  const { url, options, profileId } = job.payload;
+  const profile = await loadProfile(profileId);
+  return scanPage(url, { user: job.user, project: job.project, options, profile, onProgress: reportProgress });
+});
+
+// Uploaded HTML document or zipped static site
+jobQueue.registerHandler('upload', async (job, reportProgress) => {
+  const { options, ...upload } = job.payload;
+  const scan = await scanUpload(upload, { user: job.user, project: job.project, options, onProgress: reportProgress });
+  
+  // The upload itself isn't needed once the result is stored
+  await ScanJob.updateOne({ _id: job._id }, { $unset: { 'payload.html': 1, 'payload.archive': 1 } });
+  return scan;
+});
+
+// Site crawl
+jobQueue.registerHandler('site', async (job, reportProgress) => {
+  const { url, settings, options, profileId } = job.payload;
+  const profile = await loadProfile(profileId);
+  return scanSite(url, settings, { user: job.user, project: job.project, options, profile, onProgress: reportProgress });
+});
+
+// Scheduled monitor run: scan, then diff against the monitor's previous run
+jobQueue.registerHandler('monitor', async (job, reportProgress) => {
+  const monitor = await Monitor.findById(job.payload.monitorId);
+  if (!monitor) {
+    throw new Error('Monitor no longer exists');
+  }
+  
+  const owner = await User.findById(monitor.user);
+  const options = {
+    user: monitor.user,
+    project: monitor.project,
+    options: resolveScanOptions(monitor.scanOptions, owner),
+    profile: await loadProfile(monitor.profile),
+    onProgress: reportProgress
+  };
+  const run = new MonitorRun({ monitor: monitor._id, user: monitor.user });
+  
+  if (monitor.mode === 'site') {
+    const siteScan = await scanSite(monitor.url, monitor.crawlSettings, options);
+    run.siteScan = siteScan._id;
+  } else {
+    const scan = await scanPage(monitor.url, options);
+    run.scan = scan._id;
+  }
+  
+  const current = await loadComparable(run);
+  run.score = current.score;
+  
+  const previousRun = monitor.lastRun ? await MonitorRun.findById(monitor.lastRun) : null;
+  const previous = previousRun ? await loadComparable(previousRun) : null;
+  
+  if (previous) {
+    const diff = diffScans(previous, current);
+    const { regression, reasons, newErrors } = evaluateRegression(diff, monitor.scoreDropThreshold);
+    
+    Object.assign(run, {
+      previousRun: previousRun._id,
+      scoreDelta: diff.scoreDelta,
+      countDeltas: diff.countDeltas,
+      newErrors: newErrors.map(({ fingerprint, code, message, selector, context }) => ({
+        fingerprint, code, message, selector, context
+      })),
+      fixedCount: diff.fixed.length,
+      newCount: diff.added.length,
+      regression,
+      reasons
+    });
+  }
+  
+  await run.save();
+  
+  monitor.lastRun = run._id;
+  monitor.lastRunAt = run.createdAt;
+  await monitor.save();
+  
+  return run;
+});
+
+// Event data describing what a finished job produced
+async function describeResult(job, result) {
+  if (job.type === 'monitor') {
+    const monitor = await Monitor.findById(result.monitor).select('name url');
+    return {
+      url: monitor ? monitor.url : null,
+      score: result.score,
+      monitor: monitor ? { id: monitor._id, name: monitor.name } : null,
+      run: { id: result._id, scoreDelta: result.scoreDelta, regression: result.regression }
+    };
+  }
+  if (job.type === 'site') {
+    return { url: result.seedUrl, score: result.score, siteScan: { id: result._id, pageCount: result.pages.length } };
+  }
+  return { url: describeTarget(result), score: result.score, counts: result.counts, scan: { id: result._id } };
+}
+
+// Tell webhooks about finished scans and monitor regressions
+jobQueue.onFinished(async (job, result) => {
+  const owner = { user: job.user, project: job.project };
+  const base = { job: { id: job._id, type: job.type } };
+  
+  if (job.status === 'failed') {
+    const monitor = job.type === 'monitor' ? await Monitor.findById(job.payload.monitorId).select('name url') : null;
+    await emitEvent('scan.failed', {
+      ...base,
+      url: monitor ? monitor.url : job.payload.url,
+      error: job.error,
+      monitor: monitor ? { id: monitor._id, name: monitor.name } : undefined
+    }, owner);
+    return;
+  }
+  
+  const data = { ...base, ...(await describeResult(job, result)) };
+  await emitEvent('scan.completed', data, owner);
+  
+  if (job.type === 'monitor' && result.regression) {
+    await emitEvent('score.regressed', {
+      ...data,
+      scoreDelta: result.scoreDelta,
+      reasons: result.reasons,
+      newErrors: result.newErrors.length
+    }, owner);
+  }
+});
+
+module.exports = jobQueue;
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const ScanJob = require('../models/ScanJob');
+
+// Maximum number of jobs this process runs at the same time
+const CONCURRENCY = parseInt(process.env.SCAN_CONCURRENCY, 10) || 2;
+
+// Jobs left "running" longer than this are assumed to belong to a process
+// that died, and are put back in the queue
+const STALE_JOB_MS = parseInt(process.env.SCAN_JOB_STALE_MS, 10) || 10 * 60 * 1000;
+
+const handlers = new Map();
+const finishListeners = [];
+let running = 0;
+let draining = false;
+let pollTimer = null;
+
+// Register the function that performs jobs of a given type.
+// Handlers receive `(job, reportProgress)` and resolve with the saved document.
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+// Call `listener(job, result)` whenever a job ends, done or failed. `result`
+// is the document the handler resolved with (null for failed jobs).
+function onFinished(listener) {
+  finishListeners.push(listener);
+}
+
+// Store a new job and try to start it right away
+async function enqueue(type, payload, { user = null, project = null } = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  
+  const job = await ScanJob.create({ type, payload, user, project });
+  drain();
+  return job;
+}
+
+// Atomically move the oldest queued job to "running" so that two workers
+// never pick up the same job
+function claimNext() {
+  return ScanJob.findOneAndUpdate(
+    { status: 'queued' },
+    {
+      $set: { status: 'running', startedAt: new Date(), progress: 0 },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  const reportProgress = (progress, message) => {
+    ScanJob.updateOne({ _id: job._id }, { progress, progressMessage: message })
+      .catch(err => console.error(`Job ${job._id} progress update failed:`, err.message));
+  };
+  
+  let result = null;
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+    
+    result = await handler(job, reportProgress);
+    
+    job.status = 'done';
+    job.progress = 100;
+    job.progressMessage = 'Completed';
+    if (result) {
+      job.result = result._id;
+      job.resultModel = result.constructor.modelName;
+    }
+  } catch (err) {
+    console.error(`Job ${job._id} (${job.type}) failed:`, err);
+    job.status = 'failed';
+    job.error = err.message;
+  }
+  
+  job.finishedAt = new Date();
+  await job.save();
+  
+  for (const listener of finishListeners) {
+    try {
+      await listener(job, result);
+    } catch (err) {
+      console.error(`Job ${job._id} finish listener failed:`, err.message);
+    }
+  }
+  return job;
+}
+
+// Start as many queued jobs as the concurrency limit allows
+async function drain() {
+  if (draining || mongoose.connection.readyState !== 1) return;
+  draining = true;
+  
+  try {
+    while (running < CONCURRENCY) {
+      const job = await claimNext();
+      if (!job) break;
+      
+      running++;
+      runJob(job)
+        .catch(err => console.error(`Job ${job._id} could not be finalized:`, err.message))
+        .finally(() => {
+          running--;
+          drain();
+        });
+    }
+  } catch (err) {
+    console.error('Job queue error:', err.message);
+  } finally {
+    draining = false;
+  }
+}
+
+// Requeue jobs that were running when a previous process stopped
+async function recoverStaleJobs() {
+  if (mongoose.connection.readyState !== 1) return;
+  
+  const { modifiedCount } = await ScanJob.updateMany(
+    { status: 'running', startedAt: { $lt: new Date(Date.now() - STALE_JOB_MS) } },
+    { $set: { status: 'queued', progress: 0, progressMessage: 'Requeued after restart' } }
+  );
+  if (modifiedCount) {
+    console.log(`Requeued ${modifiedCount} stale scan job(s)`);
+  }
+}
+
+// Poll for queued jobs, e.g. ones created by another instance or left over
+// from before a restart
+function start({ pollInterval = 5000 } = {}) {
+  if (pollTimer) return;
+  
+  let recovered = false;
+  pollTimer = setInterval(async () => {
+    try {
+      if (!recovered && mongoose.connection.readyState === 1) {
+        await recoverStaleJobs();
+        recovered = true;
+      }
+      await drain();
+    } catch (err) {
+      console.error('Job queue poll failed:', err.message);
+    }
+  }, pollInterval);
+  pollTimer.unref();
+}
+
+function stop() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+// Resolve with the job once it is done or failed, or as it is after `timeoutMs`
+async function waitForJob(id, timeoutMs, { interval = 1000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  
+  for (;;) {
+    const job = await ScanJob.findById(id);
+    if (!job || ['done', 'failed'].includes(job.status) || Date.now() >= deadline) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.min(interval, deadline - Date.now())));
+  }
+}
+
+function stats() {
+  return { running, concurrency: CONCURRENCY, handlers: [...handlers.keys()] };
+}
+
+module.exports = {
+  registerHandler,
+  onFinished,
+  enqueue,
+  waitForJob,
+  drain,
+  start,
+  stop,
+  stats
+};
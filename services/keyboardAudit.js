@@ -0,0 +1,350 @@
+// Keyboard audit run on a loaded page after pa11y: tab through the page to
+// record the focus order, then report focus traps, controls the keyboard
+// can't reach and focus that doesn't show
+
+// Most Tab presses before the walk stops, for pages with huge menus or tables
+const MAX_TAB_STOPS = parseInt(process.env.KEYBOARD_MAX_TAB_STOPS, 10) || 200;
+
+// Most clickable-looking elements whose event listeners are looked up
+const MAX_LISTENER_CHECKS = 200;
+
+const KEYBOARD_CODES = {
+  trap: 'keyboard-trap',
+  unreachable: 'keyboard-unreachable',
+  notFocusable: 'keyboard-not-focusable',
+  focusNotVisible: 'keyboard-focus-not-visible',
+  positiveTabindex: 'keyboard-positive-tabindex'
+};
+
+const TYPE_CODES = { error: 1, warning: 2, notice: 3 };
+
+const CLICK_EVENTS = ['click', 'mousedown', 'mouseup', 'pointerdown', 'pointerup'];
+
+// Runs in the page. Defines window.__assessSightKeyboard with the helpers
+// the audit calls between key presses. Elements are identified by ids kept
+// in a WeakMap, so the page's DOM is left untouched.
+function installHelpers(rootSelector, hideSelector) {
+  const FOCUSABLE = [
+    'a[href]', 'area[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'iframe',
+    'summary', '[tabindex]', '[contenteditable]:not([contenteditable="false"])', 'audio[controls]', 'video[controls]'
+  ].join(', ');
+  const INTERACTIVE_ROLES = ['button', 'link', 'checkbox', 'radio', 'switch', 'slider', 'spinbutton', 'combobox',
+    'textbox', 'searchbox'];
+  // Widgets whose items share one tab stop (roving tabindex or aria-activedescendant)
+  const COMPOSITE = ['listbox', 'menu', 'menubar', 'tablist', 'tree', 'treegrid', 'grid', 'radiogroup', 'toolbar']
+    .map(role => `[role="${role}"]`).join(', ');
+  // Styles that usually carry a focus indicator
+  const INDICATOR_PROPERTIES = ['outline-style', 'outline-width', 'outline-color', 'outline-offset', 'box-shadow',
+    'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color', 'border-top-width',
+    'border-bottom-width', 'background-color', 'background-image', 'color', 'text-decoration-line', 'opacity',
+    'transform', 'top', 'left', 'clip', 'clip-path'];
+  
+  const root = rootSelector ? document.querySelector(rootSelector) : null;
+  const ids = new WeakMap();
+  const unfocusedStyles = new WeakMap();
+  const tabbables = [];
+  const candidates = [];
+  let nextId = 1;
+  
+  const idOf = el => {
+    if (!ids.has(el)) ids.set(el, nextId++);
+    return ids.get(el);
+  };
+  
+  const inScope = el => (!root || root.contains(el)) && !(hideSelector && el.closest(hideSelector));
+  
+  const isVisible = el => {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return false;
+    return el.checkVisibility
+      ? el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true })
+      : el.getClientRects().length > 0;
+  };
+  
+  const isTabbable = el => el.matches(FOCUSABLE) && el.tabIndex >= 0 && !el.disabled &&
+    !el.closest('[inert]') && isVisible(el);
+  
+  // Short selector: an id when it is unique, otherwise a nth-of-type path
+  const cssPath = el => {
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && node !== document.documentElement) {
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let part = node.localName;
+      const siblings = node.parentElement
+        ? [...node.parentElement.children].filter(sibling => sibling.localName === node.localName)
+        : [];
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      parts.unshift(part);
+      node = node.parentElement;
+    }
+    if (!parts.length || !parts[0].startsWith('#')) parts.unshift('html');
+    return parts.join(' > ');
+  };
+  
+  const context = el => {
+    const html = el.outerHTML;
+    return html.length > 250 ? `${html.slice(0, 250)}...` : html;
+  };
+  
+  const box = el => {
+    const rect = el.getBoundingClientRect();
+    return {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    };
+  };
+  
+  // Indicator styles of an element, its pseudo-elements and its parent, which
+  // may show focus with :focus-within
+  const styleSnapshot = el => [el, el.parentElement].filter(Boolean).flatMap(node => [null, '::before', '::after']
+    .map(pseudo => {
+      const style = getComputedStyle(node, pseudo);
+      return INDICATOR_PROPERTIES.map(property => style.getPropertyValue(property)).join('|');
+    })).join('||');
+  
+  // Never reads what was typed into a field, which may be a password
+  const buttonValue = el => (el.localName === 'input' && ['submit', 'button', 'reset'].includes(el.type) ? el.value : '');
+  
+  const describe = el => ({
+    id: idOf(el),
+    selector: cssPath(el),
+    tag: el.localName,
+    role: el.getAttribute('role') || null,
+    name: (el.getAttribute('aria-label') || el.innerText || buttonValue(el) || el.getAttribute('title') || '')
+      .trim().replace(/\s+/g, ' ').slice(0, 100),
+    rect: box(el),
+    context: context(el),
+    inScope: inScope(el)
+  });
+  
+  const activeElement = () => {
+    let el = document.activeElement;
+    while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+    return el && el !== document.body && el !== document.documentElement ? el : null;
+  };
+  
+  window.__assessSightKeyboard = {
+    // Record every tabbable element and its styles while nothing has focus
+    prepare() {
+      if (document.activeElement && document.activeElement.blur) document.activeElement.blur();
+      for (const el of document.querySelectorAll(FOCUSABLE)) {
+        if (!isTabbable(el)) continue;
+        tabbables.push(el);
+        unfocusedStyles.set(el, styleSnapshot(el));
+      }
+      return {
+        tabbableCount: tabbables.filter(inScope).length,
+        positiveTabindex: tabbables.filter(el => el.tabIndex > 0 && inScope(el)).map(describe)
+      };
+    },
+    
+    // The element focus is on now, or null when it left the page content
+    current() {
+      const el = activeElement();
+      if (!el) return null;
+      
+      const stop = describe(el);
+      const rect = el.getBoundingClientRect();
+      const offScreen = rect.right <= 0 || rect.bottom <= 0 ||
+        rect.left >= document.documentElement.scrollWidth || rect.top >= document.documentElement.scrollHeight;
+      const before = unfocusedStyles.get(el);
+      // null when there's nothing to compare against
+      stop.focusVisible = offScreen || !isVisible(el) ? false : before === undefined ? null : before !== styleSnapshot(el);
+      return stop;
+    },
+    
+    // Tabbable elements the walk never reached
+    unreached(reachedIds) {
+      const reached = new Set(reachedIds);
+      return tabbables.filter(el => inScope(el) && !reached.has(idOf(el)) && isTabbable(el)).map(describe);
+    },
+    
+    // Visible elements that look clickable but can't take focus. `confirm` is
+    // set when only the pointer cursor suggests a click handler, which has to
+    // be checked against the element's event listeners.
+    clickCandidates() {
+      for (const el of document.body ? document.body.querySelectorAll('*') : []) {
+        if (candidates.length >= 1000) break;
+        // tabindex="-1" takes focus from scripts but not from Tab, so it still counts
+        const tabbable = el.matches(FOCUSABLE) && el.tabIndex >= 0;
+        if (tabbable || el.closest('a[href], button, label, summary, [tabindex]:not([tabindex^="-"])')) continue;
+        if (el.closest(COMPOSITE) || el.querySelector(FOCUSABLE) || !inScope(el) || !isVisible(el)) continue;
+        
+        const role = el.getAttribute('role');
+        const declared = el.hasAttribute('onclick') || INTERACTIVE_ROLES.includes(role);
+        const pointer = getComputedStyle(el).cursor === 'pointer' &&
+          !(el.parentElement && getComputedStyle(el.parentElement).cursor === 'pointer');
+        if (declared || pointer) {
+          candidates.push({ el, confirm: !declared });
+        }
+      }
+      return candidates.map((candidate, index) => ({ index, confirm: candidate.confirm, ...describe(candidate.el) }));
+    },
+    
+    candidate(index) {
+      return candidates[index] ? candidates[index].el : null;
+    },
+    
+    // Whether every element of `ids` sits in a modal dialog, which may keep focus
+    inModal(idList) {
+      const wanted = new Set(idList);
+      const els = [...document.querySelectorAll('*')].filter(el => ids.has(el) && wanted.has(ids.get(el)));
+      return els.length > 0 && els.every(el => el.closest('dialog[open], [aria-modal="true"]'));
+    }
+  };
+}
+
+function buildIssue(type, code, message, element) {
+  return {
+    code,
+    type,
+    typeCode: TYPE_CODES[type],
+    message,
+    context: element.context,
+    selector: element.selector,
+    box: element.rect || null,
+    runner: 'keyboard',
+    runnerExtras: {}
+  };
+}
+
+// Whether the page's event listeners on a candidate include a click-like one
+async function hasClickListener(session, index) {
+  const { result } = await session.send('Runtime.evaluate', {
+    expression: `window.__assessSightKeyboard.candidate(${Number(index)})`
+  });
+  if (!result || !result.objectId) return false;
+  
+  const { listeners } = await session.send('DOMDebugger.getEventListeners', { objectId: result.objectId, depth: 0 });
+  await session.send('Runtime.releaseObject', { objectId: result.objectId });
+  return listeners.some(listener => CLICK_EVENTS.includes(listener.type));
+}
+
+// Press Tab until focus leaves the page, comes back to an element it already
+// visited, or MAX_TAB_STOPS is reached
+async function walkFocusOrder(page) {
+  const order = [];
+  const seen = new Map();
+  let loopStart = null;
+  let leftPage = false;
+  
+  for (let press = 0; press < MAX_TAB_STOPS; press++) {
+    await page.keyboard.press('Tab');
+    const stop = await page.evaluate(() => window.__assessSightKeyboard.current());
+    
+    if (!stop) {
+      // Focus went back to the document: every stop has been visited. A
+      // page without any stop gets one more press in case focus started late.
+      if (order.length || press > 0) {
+        leftPage = true;
+        break;
+      }
+      continue;
+    }
+    if (seen.has(stop.id)) {
+      // Focus moving through the frame's own content
+      if (stop.tag === 'iframe' && order[order.length - 1].id === stop.id) continue;
+      loopStart = seen.get(stop.id);
+      break;
+    }
+    seen.set(stop.id, order.length);
+    order.push(stop);
+  }
+  
+  return { order, loopStart, leftPage };
+}
+
+// Audit keyboard access to the page. `options` are resolved scan options; only
+// elements inside `rootElement` and outside `hideElements` are reported.
+// Resolves with `issues` in pa11y's format and the `focusOrder` of the walk.
+async function auditKeyboard(page, options = {}) {
+  await page.evaluate(installHelpers, options.rootElement || null, options.hideElements || null);
+  const { tabbableCount, positiveTabindex } = await page.evaluate(() => window.__assessSightKeyboard.prepare());
+  
+  const { order, loopStart, leftPage } = await walkFocusOrder(page);
+  const issues = [];
+  
+  // Coming back to the first stop after visiting every tabbable element is
+  // just the page wrapping around. Any other loop keeps focus unless Escape,
+  // or a modal dialog with its own way out, releases it.
+  const wrapped = loopStart === 0 && order.filter(stop => stop.inScope).length >= tabbableCount;
+  if (loopStart !== null) {
+    const loop = order.slice(loopStart);
+    
+    if (!wrapped && !(await page.evaluate(ids => window.__assessSightKeyboard.inModal(ids), loop.map(stop => stop.id)))) {
+      await page.keyboard.press('Escape');
+      await page.keyboard.press('Tab');
+      const after = await page.evaluate(() => window.__assessSightKeyboard.current());
+      const loopIds = new Set(loop.map(stop => stop.id));
+      
+      if (after && loopIds.has(after.id)) {
+        issues.push(buildIssue('error', KEYBOARD_CODES.trap,
+          `Keyboard focus is trapped: pressing Tab cycles through ${loop.length} element(s) and Escape does not release it.`,
+          loop[0]));
+      }
+    }
+  }
+  
+  // Only a walk that went all the way round shows what Tab can't reach
+  if (leftPage || wrapped) {
+    const unreached = await page.evaluate(ids => window.__assessSightKeyboard.unreached(ids), order.map(stop => stop.id));
+    for (const element of unreached) {
+      issues.push(buildIssue('warning', KEYBOARD_CODES.unreachable,
+        'This element can take focus but is never reached by pressing Tab.', element));
+    }
+  }
+  
+  for (const stop of order) {
+    if (stop.inScope && stop.focusVisible === false) {
+      issues.push(buildIssue('error', KEYBOARD_CODES.focusNotVisible,
+        'This element shows no visible change when it receives keyboard focus. Give it a focus indicator, such as an outline.',
+        stop));
+    }
+  }
+  
+  for (const element of positiveTabindex) {
+    issues.push(buildIssue('warning', KEYBOARD_CODES.positiveTabindex,
+      'A positive tabindex moves this element out of the reading order. Use tabindex="0" and order the source instead.',
+      element));
+  }
+  
+  const candidates = await page.evaluate(() => window.__assessSightKeyboard.clickCandidates());
+  const session = await page.target().createCDPSession();
+  try {
+    let checks = 0;
+    for (const candidate of candidates) {
+      if (candidate.confirm) {
+        if (checks++ >= MAX_LISTENER_CHECKS || !(await hasClickListener(session, candidate.index))) continue;
+      }
+      issues.push(buildIssue('warning', KEYBOARD_CODES.notFocusable,
+        'This element responds to clicks but can\'t be reached with the keyboard. Use a native button or link, or add tabindex="0", a role and key handlers.',
+        candidate));
+    }
+  } finally {
+    await session.detach().catch(() => {});
+  }
+  
+  return {
+    issues,
+    focusOrder: order.map(({ selector, tag, role, name, rect, focusVisible }, index) => ({
+      index,
+      selector,
+      tag,
+      role,
+      name,
+      rect,
+      focusVisible
+    }))
+  };
+}
+
+module.exports = {
+  KEYBOARD_CODES,
+  auditKeyboard
+};
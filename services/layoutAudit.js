@@ -0,0 +1,238 @@
+// Layout audit run on a loaded page at narrow viewports: content that makes
+// the page scroll sideways, and text that is clipped or overlaps other text
+// once the layout has to reflow
+
+// Viewports at most this wide (CSS pixels) are audited. Covers phones,
+// tablets and a 1280px window at 200% zoom, but not desktop layouts.
+const MAX_AUDITED_WIDTH = 1024;
+
+// Most issues reported per check, so a broken layout doesn't drown the scan
+const MAX_ISSUES_PER_CHECK = 20;
+
+// Most text elements compared with each other for overlaps
+const MAX_TEXT_ELEMENTS = 1500;
+
+const LAYOUT_CODES = {
+  horizontalScroll: 'layout-horizontal-scroll',
+  clippedText: 'layout-clipped-text',
+  overlappingText: 'layout-overlapping-text'
+};
+
+const TYPE_CODES = { error: 1, warning: 2, notice: 3 };
+
+// Runs in the page. Finds the elements behind each layout problem; only
+// elements inside `rootSelector` and outside `hideSelector` are reported.
+function inspectLayout(rootSelector, hideSelector, maxIssues, maxTextElements) {
+  // Content WCAG 1.4.10 lets scroll in two dimensions
+  const EXEMPT = 'img, svg, canvas, video, iframe, object, embed, map, table, pre, code, math, [role="img"], [role="toolbar"], [role="grid"]';
+  const SCROLLING = ['auto', 'scroll', 'hidden', 'clip'];
+  const CLIPPING = ['hidden', 'clip'];
+  
+  const root = (rootSelector && document.querySelector(rootSelector)) || document.body;
+  const viewportWidth = document.documentElement.clientWidth;
+  if (!root) return { viewportWidth, scrollWidth: viewportWidth, overflowing: [], clipped: [], overlapping: [] };
+  
+  const inScope = el => !(hideSelector && el.closest(hideSelector));
+  
+  const isVisible = el => {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return false;
+    return el.checkVisibility
+      ? el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true })
+      : el.getClientRects().length > 0;
+  };
+  
+  // Same selectors as the keyboard audit: a unique id, otherwise a nth-of-type path
+  const cssPath = el => {
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && node !== document.documentElement) {
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let part = node.localName;
+      const siblings = node.parentElement
+        ? [...node.parentElement.children].filter(sibling => sibling.localName === node.localName)
+        : [];
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      parts.unshift(part);
+      node = node.parentElement;
+    }
+    if (!parts.length || !parts[0].startsWith('#')) parts.unshift('html');
+    return parts.join(' > ');
+  };
+  
+  const describe = el => {
+    const html = el.outerHTML;
+    const rect = el.getBoundingClientRect();
+    return {
+      selector: cssPath(el),
+      context: html.length > 250 ? `${html.slice(0, 250)}...` : html,
+      rect: {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      }
+    };
+  };
+  
+  // Whether an ancestor scrolls or clips sideways, keeping `el` from widening the page
+  const containedX = el => {
+    for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) {
+      if (SCROLLING.includes(getComputedStyle(node).overflowX)) return true;
+    }
+    return false;
+  };
+  
+  const ownText = el => [...el.childNodes]
+    .filter(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+  
+  const elements = [...root.querySelectorAll('*')].filter(inScope);
+  
+  // Outermost elements reaching past the right edge of the viewport
+  const overflowing = [];
+  const scrollWidth = document.documentElement.scrollWidth;
+  if (scrollWidth > viewportWidth + 1) {
+    for (const el of elements) {
+      if (overflowing.length >= maxIssues) break;
+      if (el.closest(EXEMPT) || overflowing.some(reported => reported.el.contains(el))) continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.right + window.scrollX <= viewportWidth + 1 || !isVisible(el)) continue;
+      if (getComputedStyle(el).position === 'fixed' || containedX(el)) continue;
+      overflowing.push({ el, ...describe(el), right: Math.round(rect.right + window.scrollX) });
+    }
+  }
+  
+  // Elements cutting off their own text, or text inside them. Visually hidden
+  // text (the 1px "sr-only" pattern) is clipped on purpose.
+  const clipped = [];
+  for (const el of elements) {
+    if (clipped.length >= maxIssues) break;
+    const style = getComputedStyle(el);
+    const clipsX = CLIPPING.includes(style.overflowX) || style.textOverflow === 'ellipsis';
+    const clipsY = CLIPPING.includes(style.overflowY);
+    if (!clipsX && !clipsY) continue;
+    if (el.clientWidth <= 1 || el.clientHeight <= 1 || !isVisible(el) || !el.innerText.trim()) continue;
+    
+    const cutX = clipsX && el.scrollWidth > el.clientWidth + 1;
+    const cutY = clipsY && el.scrollHeight > el.clientHeight + 1;
+    if (!cutX && !cutY) continue;
+    if (clipped.some(reported => reported.el.contains(el) || el.contains(reported.el))) continue;
+    clipped.push({ el, ...describe(el), direction: cutX && cutY ? 'both' : cutX ? 'horizontal' : 'vertical' });
+  }
+  
+  // Lines of text from different elements drawn over each other. Line boxes
+  // are bucketed by 50px rows so only neighbours are compared.
+  const overlapping = [];
+  const lines = [];
+  let textElements = 0;
+  for (const el of elements) {
+    if (textElements >= maxTextElements) break;
+    const texts = ownText(el);
+    if (!texts.length || !isVisible(el)) continue;
+    textElements++;
+    for (const text of texts) {
+      const range = document.createRange();
+      range.selectNodeContents(text);
+      for (const rect of range.getClientRects()) {
+        if (rect.width > 1 && rect.height > 1) lines.push({ el, rect });
+      }
+    }
+  }
+  
+  const rows = new Map();
+  for (const line of lines) {
+    const first = Math.floor((line.rect.top + window.scrollY) / 50);
+    const last = Math.floor((line.rect.bottom + window.scrollY) / 50);
+    for (let row = first; row <= last; row++) {
+      if (!rows.has(row)) rows.set(row, []);
+      rows.get(row).push(line);
+    }
+  }
+  
+  const reported = new Set();
+  for (const bucket of rows.values()) {
+    for (let i = 0; i < bucket.length && overlapping.length < maxIssues; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const a = bucket[i];
+        const b = bucket[j];
+        if (a.el === b.el || a.el.contains(b.el) || b.el.contains(a.el) || reported.has(b.el)) continue;
+        
+        const width = Math.min(a.rect.right, b.rect.right) - Math.max(a.rect.left, b.rect.left);
+        const height = Math.min(a.rect.bottom, b.rect.bottom) - Math.max(a.rect.top, b.rect.top);
+        if (width <= 0 || height <= 0) continue;
+        // A glancing touch between lines isn't a problem; a third of the smaller line is
+        const smaller = Math.min(a.rect.width * a.rect.height, b.rect.width * b.rect.height);
+        if (width * height < smaller / 3) continue;
+        
+        reported.add(b.el);
+        overlapping.push({ el: b.el, ...describe(b.el), other: cssPath(a.el) });
+        break;
+      }
+    }
+  }
+  
+  const strip = ({ el, ...rest }) => rest;
+  return {
+    viewportWidth,
+    scrollWidth,
+    overflowing: overflowing.map(strip),
+    clipped: clipped.map(strip),
+    overlapping: overlapping.map(strip)
+  };
+}
+
+function buildIssue(type, code, message, element) {
+  return {
+    code,
+    type,
+    typeCode: TYPE_CODES[type],
+    message,
+    context: element.context,
+    selector: element.selector,
+    runner: 'layout',
+    runnerExtras: {}
+  };
+}
+
+// Whether a viewport is narrow enough to audit
+function shouldAuditLayout(viewport) {
+  return Boolean(viewport) && viewport.width <= MAX_AUDITED_WIDTH;
+}
+
+// Audit the layout of a loaded page. `options` are resolved scan options;
+// only elements inside `rootElement` and outside `hideElements` are reported.
+// Resolves with `issues` in pa11y's format.
+async function auditLayout(page, options = {}) {
+  const { viewportWidth, scrollWidth, overflowing, clipped, overlapping } = await page.evaluate(inspectLayout,
+    options.rootElement || null, options.hideElements || null, MAX_ISSUES_PER_CHECK, MAX_TEXT_ELEMENTS);
+  const issues = [];
+  
+  for (const element of overflowing) {
+    issues.push(buildIssue('error', LAYOUT_CODES.horizontalScroll,
+      `This element reaches ${element.right - viewportWidth}px past the right edge of a ${viewportWidth}px wide viewport, so the page (${scrollWidth}px wide) has to be scrolled sideways. Let it wrap or shrink to the viewport.`,
+      element));
+  }
+  
+  for (const element of clipped) {
+    issues.push(buildIssue('warning', LAYOUT_CODES.clippedText,
+      `Text in this element is cut off ${element.direction === 'both' ? 'horizontally and vertically' : element.direction === 'horizontal' ? 'horizontally' : 'vertically'} at a ${viewportWidth}px wide viewport. Avoid fixed sizes with overflow: hidden on text containers.`,
+      element));
+  }
+  
+  for (const element of overlapping) {
+    issues.push(buildIssue('warning', LAYOUT_CODES.overlappingText,
+      `Text in this element overlaps text in ${element.other} at a ${viewportWidth}px wide viewport.`,
+      element));
+  }
+  
+  return { issues };
+}
+
+module.exports = {
+  LAYOUT_CODES,
+  shouldAuditLayout,
+  auditLayout
+};
@@ -0,0 +1,65 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Where outgoing mail goes, picked with MAIL_TRANSPORT. "console" (default)
+// and "file" are meant for development; real deployments register their own
+// transport (SMTP, an email API...) with registerTransport().
+const transports = {
+  console: async message => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+  
+  // One JSON file per message in MAIL_DIR
+  file: async message => {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'assesssight-mail');
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-z0-9@.-]/gi, '_')}.json`;
+    await fs.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+  }
+};
+
+// `send(message)` receives { from, to, subject, text } and returns a promise
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+async function sendMail({ to, subject, text }) {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  
+  const from = process.env.MAIL_FROM || 'AssessSight <no-reply@assesssight.local>';
+  await transport({ from, to, subject, text });
+}
+
+// Links in emails point at the frontend, which calls the API with the token
+function appLink(pathname, token) {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+async function sendVerificationEmail(user, token) {
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link within 48 hours:\n${appLink('/verify-email', token)}\n`
+  });
+}
+
+async function sendPasswordResetEmail(user, token) {
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset your password. Open this link within an hour to choose a new one:\n${appLink('/reset-password', token)}\n\nIf it wasn't you, ignore this email.\n`
+  });
+}
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
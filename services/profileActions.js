@@ -0,0 +1,101 @@
+// Applies a scan profile (see models/ScanProfile.js) to a Puppeteer page:
+// cookies and extra headers first, then the scripted login actions.
+
+const ACTION_TIMEOUT = 30000;
+
+async function runAction(page, action) {
+  const { type, selector, value } = action;
+  
+  switch (type) {
+    case 'navigate':
+      await page.goto(value, { waitUntil: 'networkidle2', timeout: ACTION_TIMEOUT });
+      break;
+    case 'set-field':
+      await page.waitForSelector(selector, { timeout: ACTION_TIMEOUT });
+      // Clear any pre-filled value before typing
+      await page.$eval(selector, element => {
+        element.value = '';
+      });
+      await page.type(selector, value || '');
+      break;
+    case 'click':
+      await page.waitForSelector(selector, { timeout: ACTION_TIMEOUT });
+      await page.click(selector);
+      break;
+    case 'check':
+    case 'uncheck':
+      await page.waitForSelector(selector, { timeout: ACTION_TIMEOUT });
+      await page.$eval(selector, (element, checked) => {
+        element.checked = checked;
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+      }, type === 'check');
+      break;
+    case 'wait-for-url':
+      // Matches when the current URL starts with the expected value
+      await page.waitForFunction(
+        expected => window.location.href.startsWith(expected),
+        { timeout: ACTION_TIMEOUT },
+        value
+      );
+      break;
+    case 'wait-for-element': {
+      const state = value || 'visible';
+      if (state === 'removed') {
+        await page.waitForFunction(
+          sel => !document.querySelector(sel),
+          { timeout: ACTION_TIMEOUT },
+          selector
+        );
+      } else {
+        await page.waitForSelector(selector, {
+          visible: state === 'visible',
+          hidden: state === 'hidden',
+          timeout: ACTION_TIMEOUT
+        });
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unsupported profile action "${type}"`);
+  }
+}
+
+// Prepare the browser session for `targetUrl`. Cookies set here are shared
+// with every page of the same browser, so pa11y sees the logged-in state.
+async function applyProfile(page, auth, targetUrl) {
+  if (auth.cookies && auth.cookies.length) {
+    await page.setCookie(...auth.cookies.map(cookie => {
+      const { name, value, domain, path, secure, httpOnly } = cookie;
+      const browserCookie = { name, value, path: path || '/' };
+      if (domain) {
+        browserCookie.domain = domain;
+      } else {
+        browserCookie.url = targetUrl;
+      }
+      if (secure !== undefined) browserCookie.secure = secure;
+      if (httpOnly !== undefined) browserCookie.httpOnly = httpOnly;
+      return browserCookie;
+    }));
+  }
+  
+  if (auth.headers && Object.keys(auth.headers).length) {
+    await page.setExtraHTTPHeaders(auth.headers);
+  }
+  
+  if (auth.actions && auth.actions.length) {
+    await page.goto(auth.loginUrl || targetUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+    
+    for (const [index, action] of auth.actions.entries()) {
+      try {
+        await runAction(page, action);
+      } catch (err) {
+        // Never echo the value, it may be a password
+        throw new Error(`Profile action ${index + 1} (${action.type}${action.selector ? ` ${action.selector}` : ''}) failed: ${err.message}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  applyProfile
+};
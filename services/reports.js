@@ -0,0 +1,274 @@
+const { withPage } = require('./browserPool');
+const { getCriterion, groupByCriterion } = require('./wcag');
+const { describeTarget } = require('./uploads');
+const pkg = require('../package.json');
+
+const FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  sarif: { contentType: 'application/sarif+json', extension: 'sarif' }
+};
+
+// Normalize a ScanResult, or a SiteScan with populated `pages`, into the
+// data every report format is rendered from
+function buildReportData(source) {
+  const isSite = Array.isArray(source.pages) && source.seedUrl !== undefined;
+  const pages = isSite ? source.pages : [source];
+  
+  const issues = pages.flatMap(page => (page.issues || []).map(issue => ({
+    ...issue,
+    pageUrl: page.pageUrl || page.url,
+    criterion: getCriterion(issue.code)
+  })));
+  
+  const countType = type => issues.filter(issue => issue.type === type && !issue.suppressed).length;
+  
+  return {
+    kind: isSite ? 'site' : 'scan',
+    id: String(source._id),
+    url: isSite ? source.seedUrl : describeTarget(source),
+    documentTitle: pages[0] ? pages[0].documentTitle : undefined,
+    score: source.score,
+    conformance: source.conformance,
+    createdAt: source.createdAt,
+    pageCount: pages.length,
+    counts: {
+      error: countType('error'),
+      warning: countType('warning'),
+      notice: countType('notice'),
+      suppressed: issues.filter(issue => issue.suppressed).length
+    },
+    // Per-viewport scores of a multi-viewport scan
+    viewports: isSite ? undefined : source.viewports,
+    issues,
+    groups: groupByCriterion(issues)
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function groupTitle(group) {
+  return group.criterion
+    ? `${group.criterion.id} ${group.criterion.name} (Level ${group.criterion.level})`
+    : 'Not mapped to a WCAG success criterion';
+}
+
+function renderHtml(report) {
+  const rows = issues => issues.map(issue => `
+        <tr class="${escapeHtml(issue.type)}">
+          <td><span class="badge">${escapeHtml(issue.type)}</span>${issue.suppressed ? `<div class="code">${escapeHtml(issue.triage.status)}</div>` : ''}</td>
+          <td>${escapeHtml(issue.message)}<div class="code">${escapeHtml(issue.code)}</div>${issue.viewportSpecific ? `<div class="code">Only in ${escapeHtml(issue.viewports.join(', '))}</div>` : ''}</td>
+          <td>${report.kind === 'site' ? `<div class="page">${escapeHtml(issue.pageUrl)}</div>` : ''}<code>${escapeHtml(issue.selector)}</code></td>
+          <td><pre>${escapeHtml(issue.context)}</pre></td>
+        </tr>`).join('');
+  
+  const sections = report.groups.map(group => `
+    <section>
+      <h2>${escapeHtml(groupTitle(group))}</h2>
+      ${group.criterion ? `<p class="meta">${escapeHtml(group.criterion.principle)} &middot; <a href="${escapeHtml(group.criterion.url)}">Understanding ${escapeHtml(group.criterion.id)}</a></p>` : ''}
+      <table>
+        <thead><tr><th>Type</th><th>Issue</th><th>Element</th><th>Context</th></tr></thead>
+        <tbody>${rows(group.issues)}
+        </tbody>
+      </table>
+    </section>`).join('');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Accessibility report: ${escapeHtml(report.documentTitle || report.url)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #1a1a1a; margin: 2rem; line-height: 1.4; }
+    h1 { margin-bottom: 0.25rem; }
+    .meta { color: #555; margin-top: 0; }
+    .summary { display: flex; gap: 1rem; margin: 1.5rem 0; }
+    .summary div { border: 1px solid #ccc; border-radius: 6px; padding: 0.75rem 1.25rem; }
+    .summary strong { display: block; font-size: 1.75rem; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; font-size: 0.9rem; }
+    th, td { border: 1px solid #ddd; padding: 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f3f3f3; }
+    pre { white-space: pre-wrap; word-break: break-all; margin: 0; font-size: 0.8rem; }
+    .code, .page { color: #555; font-size: 0.75rem; word-break: break-all; }
+    .badge { display: inline-block; padding: 0.1rem 0.4rem; border-radius: 3px; font-size: 0.75rem; text-transform: uppercase; color: #fff; background: #555; }
+    tr.error .badge { background: #b00020; }
+    tr.warning .badge { background: #8a5300; }
+    tr.notice .badge { background: #005a9c; }
+    section { page-break-inside: auto; }
+  </style>
+</head>
+<body>
+  <h1>Accessibility report</h1>
+  <p class="meta">${escapeHtml(report.documentTitle || '')} &middot; ${/^https?:/.test(report.url) ? `<a href="${escapeHtml(report.url)}">${escapeHtml(report.url)}</a>` : escapeHtml(report.url)}</p>
+  <p class="meta">Scanned ${escapeHtml(new Date(report.createdAt).toISOString())}${report.kind === 'site' ? ` &middot; ${report.pageCount} pages` : ''}</p>
+  <div class="summary">
+    <div><strong>${escapeHtml(report.score ?? 'n/a')}</strong>Score</div>
+    <div><strong>${report.counts.error}</strong>Errors</div>
+    <div><strong>${report.counts.warning}</strong>Warnings</div>
+    <div><strong>${report.counts.notice}</strong>Notices</div>${report.counts.suppressed ? `
+    <div><strong>${report.counts.suppressed}</strong>Suppressed</div>` : ''}
+  </div>
+  ${report.conformance ? `<p><strong>WCAG ${escapeHtml(report.conformance.target)}:</strong> ${escapeHtml(report.conformance.summary)}</p>` : ''}
+  ${report.viewports && report.viewports.length ? `<p class="meta">Scores by viewport: ${report.viewports.map(v => `${escapeHtml(v.name)} ${escapeHtml(v.score)}`).join(' &middot; ')}</p>` : ''}
+  ${sections || '<p>No issues found.</p>'}
+</body>
+</html>
+`;
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per issue, ordered by success criterion. The scan level fields are
+// repeated on every row so the file stays a plain table.
+function renderCsv(report) {
+  const header = ['score', 'document_title', 'scanned_at', 'criterion', 'criterion_name', 'level', 'principle', 'type', 'code', 'message', 'page_url', 'selector', 'context'];
+  const scanFields = [report.score, report.documentTitle, new Date(report.createdAt).toISOString()];
+  const lines = [header.join(',')];
+  
+  for (const group of report.groups) {
+    const { criterion } = group;
+    for (const issue of group.issues) {
+      lines.push([
+        ...scanFields,
+        criterion ? criterion.id : '',
+        criterion ? criterion.name : '',
+        criterion ? criterion.level : '',
+        criterion ? criterion.principle : '',
+        issue.type,
+        issue.code,
+        issue.message,
+        issue.pageUrl,
+        issue.selector,
+        issue.context
+      ].map(csvCell).join(','));
+    }
+  }
+  
+  return lines.join('\r\n') + '\r\n';
+}
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', notice: 'note' };
+
+// SARIF 2.1.0 log with one rule per issue code, tagged with its WCAG criterion
+function renderSarif(report) {
+  const rules = [];
+  const ruleIndex = new Map();
+  
+  const results = report.groups.flatMap(group => group.issues.map(issue => {
+    if (!ruleIndex.has(issue.code)) {
+      const { criterion } = issue;
+      ruleIndex.set(issue.code, rules.length);
+      rules.push({
+        id: issue.code,
+        shortDescription: { text: criterion ? `WCAG ${criterion.id} ${criterion.name}` : issue.code },
+        fullDescription: { text: issue.message },
+        helpUri: criterion ? criterion.url : undefined,
+        defaultConfiguration: { level: SARIF_LEVELS[issue.type] || 'warning' },
+        properties: {
+          tags: ['accessibility', ...(criterion ? [`wcag${criterion.id.replace(/\./g, '')}`, `wcag-level-${criterion.level.toLowerCase()}`] : [])],
+          ...(criterion ? {
+            'wcag-criterion': criterion.id,
+            'wcag-level': criterion.level,
+            'wcag-principle': criterion.principle
+          } : {})
+        }
+      });
+    }
+    
+    return {
+      ruleId: issue.code,
+      ruleIndex: ruleIndex.get(issue.code),
+      level: SARIF_LEVELS[issue.type] || 'warning',
+      message: { text: issue.message },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: issue.pageUrl },
+          region: { snippet: { text: issue.context || '' } }
+        },
+        logicalLocations: issue.selector ? [{ fullyQualifiedName: issue.selector, kind: 'element' }] : []
+      }],
+      // Code scanning tools hide results marked as triaged away
+      ...(issue.suppressed ? {
+        suppressions: [{
+          kind: 'external',
+          status: 'accepted',
+          justification: [issue.triage.status, issue.triage.note].filter(Boolean).join(': ')
+        }]
+      } : {})
+    };
+  }));
+  
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'AssessSight',
+          version: pkg.version,
+          informationUri: 'https://www.w3.org/WAI/standards-guidelines/wcag/',
+          rules
+        }
+      },
+      invocations: [{
+        executionSuccessful: true,
+        endTimeUtc: new Date(report.createdAt).toISOString()
+      }],
+      properties: {
+        score: report.score,
+        conformance: report.conformance ? report.conformance.summary : undefined,
+        documentTitle: report.documentTitle,
+        url: report.url,
+        scannedAt: new Date(report.createdAt).toISOString(),
+        criteriaFailed: report.groups.filter(group => group.criterion).map(group => group.criterion.id)
+      },
+      results
+    }]
+  }, null, 2);
+}
+
+// Print the HTML report to PDF with a pooled headless Chromium
+function renderPdf(report) {
+  return withPage(async page => {
+    await page.setContent(renderHtml(report), { waitUntil: 'load' });
+    return page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '1.5cm', bottom: '1.5cm', left: '1.2cm', right: '1.2cm' }
+    });
+  });
+}
+
+// Render a report in the requested format. Resolves with `{ body, contentType, filename }`.
+async function renderReport(source, format) {
+  const spec = Object.hasOwn(FORMATS, format) ? FORMATS[format] : null;
+  if (!spec) {
+    throw new Error(`Unsupported format "${format}". Use one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+  
+  const report = buildReportData(source);
+  const renderers = { html: renderHtml, csv: renderCsv, sarif: renderSarif, pdf: renderPdf };
+  
+  return {
+    body: await renderers[format](report),
+    contentType: spec.contentType,
+    filename: `accessibility-${report.kind}-${report.id}.${spec.extension}`
+  };
+}
+
+module.exports = {
+  FORMATS,
+  buildReportData,
+  renderReport
+};
@@ -0,0 +1,375 @@
+const cheerio = require('cheerio');
+const { createTwoFilesPatch } = require('diff');
+const { parseColor, toHex, contrastRatio, nearestCompliantColor } = require('./contrast');
+
+// Deterministic fixes for common pa11y/axe issue codes. Each fixer patches the
+// submitted HTML and returns `{ fixedHtml, explanation, confidence, diff }`,
+// or null when it can't find anything to patch.
+
+const PLACEHOLDER = 'TODO';
+
+// Turn "contact-us_page.html" or "searchButton" into "Contact us page"
+function humanize(value) {
+  const words = String(value || '')
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[-_.+]+/g, ' ')
+    .replace(/\d{3,}/g, '')
+    .trim()
+    .toLowerCase();
+  return words ? words.charAt(0).toUpperCase() + words.slice(1) : '';
+}
+
+function fileLabel(src) {
+  if (!src) return '';
+  try {
+    const { pathname } = new URL(src, 'http://placeholder.local');
+    return humanize(pathname.split('/').filter(Boolean).pop());
+  } catch (err) {
+    return '';
+  }
+}
+
+function linkLabel(href) {
+  if (!href) return '';
+  if (href.startsWith('#')) return humanize(href.slice(1)) || 'Back to top';
+  if (/^mailto:/i.test(href)) return `Email ${href.replace(/^mailto:/i, '').split('?')[0]}`;
+  if (/^tel:/i.test(href)) return `Call ${href.replace(/^tel:/i, '')}`;
+  
+  try {
+    const url = new URL(href, 'http://placeholder.local');
+    const lastSegment = url.pathname.split('/').filter(Boolean).pop();
+    if (lastSegment) return humanize(lastSegment);
+    if (url.hostname !== 'placeholder.local') {
+      // "www.twitter.com" -> "Twitter"
+      const host = url.hostname.replace(/^www\./, '').split('.')[0];
+      return humanize(host);
+    }
+    return 'Home';
+  } catch (err) {
+    return '';
+  }
+}
+
+// Load the HTML as a full document when it is one, otherwise as a fragment so
+// serializing it doesn't add <html>/<head>/<body>
+function loadHtml(html) {
+  return cheerio.load(html, null, /<html[\s>]/i.test(html));
+}
+
+// Element the issue points at: the issue selector when it matches inside the
+// snippet, otherwise the first element matching `fallback`
+function findTarget($, issue, fallback) {
+  if (issue.selector) {
+    try {
+      const bySelector = $(issue.selector).first();
+      if (bySelector.length && (!fallback || bySelector.is(fallback))) return bySelector;
+    } catch (err) {
+      // pa11y selectors aren't always valid for cheerio's engine
+    }
+  }
+  const byFallback = $(fallback).first();
+  return byFallback.length ? byFallback : null;
+}
+
+function isDecorativeImage(el) {
+  const src = el.attr('src') || '';
+  const role = (el.attr('role') || '').toLowerCase();
+  const width = parseInt(el.attr('width'), 10);
+  const height = parseInt(el.attr('height'), 10);
+  return role === 'presentation' || role === 'none' ||
+    el.attr('aria-hidden') === 'true' ||
+    /spacer|pixel|blank|divider|decor|background|bg[-_.]/i.test(src) ||
+    width <= 2 || height <= 2;
+}
+
+function fixImageAlt($, issue) {
+  const el = findTarget($, issue, 'img:not([alt]), input[type=image]:not([alt]), area:not([alt]), [role=img]:not([aria-label]):not([aria-labelledby])');
+  if (!el) return null;
+  
+  const tag = el.get(0).tagName;
+  
+  if (tag === 'img' && isDecorativeImage(el)) {
+    el.attr('alt', '');
+    return {
+      explanation: 'The image looks decorative, so it gets an empty alt attribute and screen readers skip it. If it does convey information, replace alt="" with a description.',
+      confidence: 0.7
+    };
+  }
+  
+  const known = el.attr('title') || el.attr('aria-label') || (tag === 'input' ? el.attr('value') : '');
+  const derived = tag === 'area' ? linkLabel(el.attr('href')) : fileLabel(el.attr('src'));
+  const text = known || (derived ? `${PLACEHOLDER}: describe ${derived.toLowerCase()}` : `${PLACEHOLDER}: describe this image`);
+  
+  el.attr(el.attr('role') === 'img' && tag !== 'img' ? 'aria-label' : 'alt', text);
+  return {
+    explanation: known
+      ? `Added a text alternative based on the element's existing "${known}" text.`
+      : 'Added a placeholder text alternative derived from the file name. Replace it with a short description of what the image shows, or use alt="" if it is purely decorative.',
+    confidence: known ? 0.75 : 0.45
+  };
+}
+
+const FIELD_SELECTOR = 'input:not([type=hidden]):not([type=submit]):not([type=button]):not([type=reset]):not([type=image]), select, textarea';
+
+function uniqueId($, base) {
+  const root = String(base || 'field').replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'field';
+  let id = /^[A-Za-z]/.test(root) ? root : `field-${root}`;
+  for (let n = 2; $(`[id="${id}"]`).length; n++) {
+    id = `${root}-${n}`;
+  }
+  return id;
+}
+
+function fixFormLabel($, issue) {
+  // H44.NonExistent points at a label whose `for` matches no element
+  const brokenLabel = findTarget($, issue, 'label[for]');
+  if (brokenLabel && /H44\.NonExistent/.test(issue.code || '')) {
+    const forId = brokenLabel.attr('for');
+    const field = $(FIELD_SELECTOR).filter((i, node) => !$(node).attr('id')).first();
+    if (!field.length) return null;
+    field.attr('id', forId);
+    return {
+      explanation: `The label pointed at id "${forId}", which didn't exist. Gave the form field that id so the label is associated with it.`,
+      confidence: 0.7
+    };
+  }
+  
+  const field = findTarget($, issue, FIELD_SELECTOR);
+  if (!field) return null;
+  
+  // Already wrapped in a label: nothing structural to add
+  if (field.parents('label').length) return null;
+  
+  let id = field.attr('id');
+  const addedId = !id;
+  if (addedId) {
+    id = uniqueId($, field.attr('name') || field.attr('placeholder'));
+    field.attr('id', id);
+  }
+  
+  // Re-use a nearby label that isn't associated with anything
+  const orphan = field.prevAll('label:not([for])').first().length
+    ? field.prevAll('label:not([for])').first()
+    : field.parent().children('label:not([for])').first();
+  if (orphan.length && !orphan.find(FIELD_SELECTOR).length) {
+    orphan.attr('for', id);
+    return {
+      explanation: `Associated the existing "${orphan.text().trim()}" label with the field by ${addedId ? 'giving the field an id and ' : ''}pointing the label's for attribute at it.`,
+      confidence: 0.8
+    };
+  }
+  
+  const text = humanize(field.attr('name')) || field.attr('placeholder') || field.attr('aria-label') || `${PLACEHOLDER}: label`;
+  field.before($('<label>').attr('for', id).text(text));
+  return {
+    explanation: `Added a visible <label for="${id}"> for the field${addedId ? ' and gave the field a matching id' : ''}. Check the label text describes what to enter.`,
+    confidence: 0.6
+  };
+}
+
+// Only ever touches the <html> start tag, so the rest of the document is kept byte for byte
+function fixHtmlLang(html, issue) {
+  const match = /<html\b[^>]*>/i.exec(html);
+  if (!match) return null;
+  
+  // `lang` comes from the client; anything but a language tag falls back to English
+  const lang = typeof issue.lang === 'string' && /^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/.test(issue.lang) ? issue.lang : 'en';
+  const tag = match[0];
+  const fixedTag = /\slang\s*=/i.test(tag)
+    ? tag.replace(/(\slang\s*=\s*)("[^"]*"|'[^']*'|[^\s>]+)/i, `$1"${lang}"`)
+    : tag.replace(/^<html/i, `<html lang="${lang}"`);
+  
+  return {
+    fixedHtml: html.replace(tag, fixedTag),
+    explanation: `Set lang="${lang}" on the <html> element so assistive technology uses the right pronunciation. Change it if the page isn't in English.`,
+    confidence: 0.85
+  };
+}
+
+// Icon classes such as "fa-search" or "icon-close" hint at what a control does
+function iconLabel(el) {
+  const classes = [el.attr('class') || '', ...el.find('[class]').map((i, node) => node.attribs.class).get()].join(' ');
+  const match = /(?:^|\s)(?:fa|fas|far|bi|icon|glyphicon|mdi|material-icons)-([a-z][a-z-]*)/i.exec(classes);
+  return match ? humanize(match[1]) : '';
+}
+
+function fixButtonName($, issue) {
+  const el = findTarget($, issue, 'button, input[type=submit], input[type=button], input[type=reset], [role=button]');
+  if (!el) return null;
+  
+  const tag = el.get(0).tagName;
+  const label = el.attr('title') || iconLabel(el) || humanize(el.attr('name')) || humanize(el.attr('id'));
+  const text = label || `${PLACEHOLDER}: describe action`;
+  
+  if (tag === 'input') {
+    el.attr('value', text);
+  } else {
+    el.attr('aria-label', text);
+  }
+  
+  return {
+    explanation: `The ${tag === 'input' ? 'input button' : 'button'} had no accessible name. Added ${tag === 'input' ? 'a value' : 'an aria-label'} of "${text}"${label ? ' based on its existing attributes' : ''}.`,
+    confidence: label ? 0.7 : 0.4
+  };
+}
+
+function fixLinkName($, issue) {
+  const el = findTarget($, issue, 'a[href]');
+  if (!el) return null;
+  
+  const label = el.attr('title') || linkLabel(el.attr('href'));
+  const text = label || `${PLACEHOLDER}: describe link`;
+  
+  // A link whose only content is an image is named by the image's alt text
+  const image = el.find('img:not([alt]), img[alt=""]').first();
+  if (image.length && !el.text().trim()) {
+    image.attr('alt', text);
+    return {
+      explanation: `The link's only content is an image without alt text. Gave the image alt="${text}" so it names the link.`,
+      confidence: label ? 0.65 : 0.4
+    };
+  }
+  
+  el.attr('aria-label', text);
+  return {
+    explanation: `The link had no accessible name. Added aria-label="${text}"${label ? ' based on where it points' : ''}. Visible link text is even better when the design allows it.`,
+    confidence: label ? 0.6 : 0.4
+  };
+}
+
+function styleValue(style, property) {
+  const match = new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;!]+)`, 'i').exec(style || '');
+  return match ? match[1].trim() : null;
+}
+
+function setStyle(el, property, value) {
+  const style = (el.attr('style') || '').trim();
+  const pattern = new RegExp(`(^|;)\\s*${property}\\s*:[^;]*`, 'i');
+  el.attr('style', pattern.test(style)
+    ? style.replace(pattern, `$1 ${property}: ${value}`).trim()
+    : `${style}${style && !style.endsWith(';') ? '; ' : style ? ' ' : ''}${property}: ${value};`);
+}
+
+function fixContrast($, issue) {
+  const el = findTarget($, issue, '*');
+  if (!el) return null;
+  
+  const message = issue.message || '';
+  const code = issue.code || '';
+  const ratioMatch = /(?:at least|contrast ratio of)\s*(\d+(?:\.\d+)?):1/i.exec(message);
+  const target = ratioMatch ? Number(ratioMatch[1]) : /G145|G17/.test(code) ? (/G17/.test(code) ? 7 : 3) : 4.5;
+  
+  // Colors from the axe message, else inline styles on the element or its ancestors
+  const fromMessage = name => {
+    const match = new RegExp(`${name} colou?r:\\s*(#[0-9a-f]{3,6}|rgba?\\([^)]*\\))`, 'i').exec(message);
+    return match ? match[1] : null;
+  };
+  const inherited = property => {
+    for (let node = el; node && node.length; node = node.parent()) {
+      const value = styleValue(node.attr('style'), property);
+      if (value) return value;
+      if (!node.parent().length) break;
+    }
+    return null;
+  };
+  
+  const recommendation = /change (?:text )?colou?r to (#[0-9a-f]{3,6})/i.exec(message);
+  const foreground = fromMessage('foreground') || inherited('color');
+  const background = fromMessage('background') || inherited('background-color') ||
+    (parseColor(inherited('background')) ? inherited('background') : null) || '#ffffff';
+  
+  let color = foreground ? nearestCompliantColor(foreground, background, target) : null;
+  if (!color && recommendation) color = recommendation[1];
+  if (!color) return null;
+  
+  const newRatio = contrastRatio(parseColor(color), parseColor(background));
+  setStyle(el, 'color', toHex(parseColor(color)));
+  
+  return {
+    explanation: foreground
+      ? `Changed the text color from ${foreground} to ${color}, the closest color with at least ${target}:1 contrast against ${background} (now ${newRatio.toFixed(2)}:1). Move the color into your stylesheet rather than keeping it inline.`
+      : `Applied the checker's recommended text color ${color} (${newRatio.toFixed(2)}:1 against ${background}). Move the color into your stylesheet rather than keeping it inline.`,
+    confidence: foreground ? 0.8 : 0.6
+  };
+}
+
+// Issue code patterns each fixer handles (HTML_CodeSniffer and axe)
+const RULES = [
+  {
+    name: 'image-alt',
+    codes: [/\.H37$/, /\.H36$/, /\.H24$/, /^image-alt$/, /^input-image-alt$/, /^area-alt$/, /^role-img-alt$/],
+    fix: fixImageAlt
+  },
+  {
+    name: 'form-label',
+    codes: [/\.H44\.NonExistent/, /\.F68$/, /\.H91\.(?:Input(?!Button|Submit|Reset|Image)\w+|Select|Textarea)\.Name$/, /^label$/, /^select-name$/],
+    fix: fixFormLabel
+  },
+  {
+    name: 'html-lang',
+    codes: [/\.H57\.2$/, /\.H57\.3\.Lang$/, /^html-has-lang$/, /^html-lang-valid$/],
+    text: true,
+    fix: fixHtmlLang
+  },
+  {
+    name: 'button-name',
+    codes: [/\.H91\.(?:Button|InputButton|InputSubmit|InputReset)\.Name$/, /^button-name$/, /^input-button-name$/],
+    fix: fixButtonName
+  },
+  {
+    name: 'link-name',
+    codes: [/\.H30\.2$/, /\.H91\.A\.(?:EmptyNoId|NoContent|Empty)$/, /\.F89$/, /^link-name$/],
+    fix: fixLinkName
+  },
+  {
+    name: 'contrast',
+    codes: [/\.G18\.Fail$/, /\.G145\.Fail$/, /\.G17\.Fail$/, /^color-contrast(?:-enhanced)?$/],
+    fix: fixContrast
+  }
+];
+
+function findRule(code) {
+  return RULES.find(rule => rule.codes.some(pattern => pattern.test(code || ''))) || null;
+}
+
+// Whether the rule-based fixer has a rule for this issue code
+function handlesCode(code) {
+  return Boolean(findRule(code));
+}
+
+function unifiedDiff(before, after) {
+  const withNewline = text => (text.endsWith('\n') ? text : `${text}\n`);
+  return createTwoFilesPatch('original.html', 'fixed.html', withNewline(before), withNewline(after), undefined, undefined, { context: 3 });
+}
+
+// Patch `html` for `issue`. Resolves to null when there is no rule for the
+// code, or the rule found nothing to change in this HTML.
+function fixIssue(html, issue) {
+  const rule = findRule(issue.code);
+  if (!rule) return null;
+  
+  let result;
+  if (rule.text) {
+    result = rule.fix(html, issue);
+  } else {
+    const $ = loadHtml(html);
+    const applied = rule.fix($, issue);
+    result = applied && { ...applied, fixedHtml: $.html() };
+  }
+  
+  if (!result || result.fixedHtml === html) return null;
+  
+  return {
+    rule: rule.name,
+    fixedHtml: result.fixedHtml,
+    explanation: result.explanation,
+    confidence: result.confidence,
+    diff: unifiedDiff(html, result.fixedHtml)
+  };
+}
+
+module.exports = {
+  handlesCode,
+  fixIssue
+};
@@ -0,0 +1,77 @@
+const { fingerprintIssue } = require('./fingerprint');
+
+const ISSUE_TYPES = ['error', 'warning', 'notice'];
+
+// Suppressed issues are left out, as in a scan's own counts
+function countByType(issues) {
+  const counts = { error: 0, warning: 0, notice: 0 };
+  for (const issue of issues) {
+    if (issue.type in counts && !issue.suppressed) counts[issue.type]++;
+  }
+  return counts;
+}
+
+// Group issues by fingerprint. The same fingerprint can legitimately occur
+// more than once on a page, so matching is done per occurrence.
+function groupByFingerprint(issues) {
+  const groups = new Map();
+  for (const issue of issues || []) {
+    const fingerprint = fingerprintIssue(issue);
+    if (!groups.has(fingerprint)) groups.set(fingerprint, []);
+    groups.get(fingerprint).push(issue);
+  }
+  return groups;
+}
+
+// Compare two issue lists. Returns the issues that disappeared (`fixed`),
+// appeared (`added`) or are present in both (`unchanged`), each tagged with
+// its fingerprint.
+function diffIssues(previousIssues, currentIssues) {
+  const previous = groupByFingerprint(previousIssues);
+  const current = groupByFingerprint(currentIssues);
+  const fixed = [];
+  const added = [];
+  const unchanged = [];
+  
+  for (const [fingerprint, issues] of current) {
+    const before = previous.get(fingerprint) || [];
+    issues.forEach((issue, i) => {
+      (i < before.length ? unchanged : added).push({ fingerprint, ...issue });
+    });
+  }
+  
+  for (const [fingerprint, issues] of previous) {
+    const after = current.get(fingerprint) || [];
+    issues.slice(after.length).forEach(issue => fixed.push({ fingerprint, ...issue }));
+  }
+  
+  return { fixed, added, unchanged };
+}
+
+// Structured diff between two scans (anything with `score` and `issues`)
+function diffScans(previous, current) {
+  const { fixed, added, unchanged } = diffIssues(previous.issues, current.issues);
+  const previousCounts = countByType(previous.issues || []);
+  const currentCounts = countByType(current.issues || []);
+  
+  const countDeltas = {};
+  for (const type of ISSUE_TYPES) {
+    countDeltas[type] = currentCounts[type] - previousCounts[type];
+  }
+  
+  const hasScores = typeof previous.score === 'number' && typeof current.score === 'number';
+  
+  return {
+    scoreDelta: hasScores ? current.score - previous.score : null,
+    counts: { previous: previousCounts, current: currentCounts },
+    countDeltas,
+    fixed,
+    added,
+    unchanged
+  };
+}
+
+module.exports = {
+  diffIssues,
+  diffScans
+};
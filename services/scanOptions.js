@@ -0,0 +1,234 @@
+const { KnownDevices } = require('puppeteer');
+
+const STANDARDS = ['WCAG2A', 'WCAG2AA', 'WCAG2AAA'];
+const RUNNERS = ['htmlcs', 'axe'];
+
+// What a scan uses when neither the request nor the user's saved defaults
+// say otherwise. `runners: null` means "htmlcs, plus axe when the page has a form".
+const DEFAULT_SCAN_OPTIONS = {
+  standard: 'WCAG2AA',
+  runners: null,
+  includeWarnings: true,
+  includeNotices: true,
+  ignore: [],
+  rootElement: null,
+  hideElements: null,
+  device: null,
+  viewport: null,
+  // Scan once per entry instead of once with device/viewport (see parseViewportList)
+  viewports: null,
+  // Tab through the page after pa11y (see keyboardAudit.js)
+  keyboard: true,
+  // Look for sideways scrolling and clipped or overlapping text at narrow
+  // viewports (see layoutAudit.js)
+  layout: true,
+  // Keep a full-page screenshot with each issue's position (see screenshots.js)
+  screenshot: true
+};
+
+const MAX_VIEWPORT_SIZE = 5000;
+const MAX_VIEWPORTS = 6;
+
+// Viewports a multi-viewport scan can name. "mobile" is the 320px width of
+// WCAG 1.4.10; "zoom-200" is a 1280px window at 200% browser zoom, which lays
+// out like a 640px viewport drawn at twice the scale.
+const VIEWPORT_PRESETS = {
+  mobile: { width: 320, height: 640, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  tablet: { width: 768, height: 1024, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  desktop: { width: 1280, height: 1024 },
+  'zoom-200': { width: 640, height: 512, deviceScaleFactor: 2 }
+};
+
+class ScanOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScanOptionsError';
+  }
+}
+
+function toSelectorList(value, field) {
+  if (value === null || value === undefined || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const selectors = list.map(selector => String(selector).trim()).filter(Boolean);
+  if (selectors.some(selector => selector.length > 500)) {
+    throw new ScanOptionsError(`${field} selectors must be shorter than 500 characters`);
+  }
+  return selectors.length ? selectors.join(', ') : null;
+}
+
+function parseViewport(viewport) {
+  if (viewport === null || viewport === undefined) return null;
+  if (typeof viewport !== 'object') {
+    throw new ScanOptionsError('viewport must be an object with width and height');
+  }
+  
+  const width = parseInt(viewport.width, 10);
+  const height = parseInt(viewport.height, 10);
+  if (!(width > 0 && width <= MAX_VIEWPORT_SIZE && height > 0 && height <= MAX_VIEWPORT_SIZE)) {
+    throw new ScanOptionsError(`viewport width and height must be between 1 and ${MAX_VIEWPORT_SIZE}`);
+  }
+  
+  const deviceScaleFactor = viewport.deviceScaleFactor === undefined ? 1 : Number(viewport.deviceScaleFactor);
+  if (!(deviceScaleFactor > 0 && deviceScaleFactor <= 4)) {
+    throw new ScanOptionsError('viewport deviceScaleFactor must be between 0 and 4');
+  }
+  
+  return {
+    width,
+    height,
+    deviceScaleFactor,
+    isMobile: Boolean(viewport.isMobile),
+    hasTouch: Boolean(viewport.hasTouch),
+    isLandscape: Boolean(viewport.isLandscape)
+  };
+}
+
+// Validate `viewports`: a list of preset names, Puppeteer device names or
+// viewport objects with an optional `name`. Each entry becomes
+// `{ name, device, viewport }`; names key the per-viewport results.
+function parseViewportList(value) {
+  if (value === null) return null;
+  if (!Array.isArray(value) || !value.length || value.length > MAX_VIEWPORTS) {
+    throw new ScanOptionsError(`viewports must be a list of 1 to ${MAX_VIEWPORTS} presets, devices or viewports`);
+  }
+  
+  const list = value.map(entry => {
+    if (typeof entry === 'string') {
+      if (VIEWPORT_PRESETS[entry]) return { name: entry, device: null, viewport: parseViewport(VIEWPORT_PRESETS[entry]) };
+      if (KnownDevices[entry]) return { name: entry, device: entry, viewport: null };
+      throw new ScanOptionsError(`Unknown viewport "${entry}"; use one of ${Object.keys(VIEWPORT_PRESETS).join(', ')}, a device name or { width, height }`);
+    }
+    
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new ScanOptionsError('each viewport must be a name or an object with width and height');
+    }
+    
+    // Also takes entries as returned here, since saved options are parsed again
+    if (entry.device) {
+      if (!KnownDevices[entry.device]) {
+        throw new ScanOptionsError(`Unknown device "${entry.device}"`);
+      }
+      return { name: entry.name === undefined ? entry.device : String(entry.name).trim(), device: entry.device, viewport: null };
+    }
+    const viewport = parseViewport(entry.viewport || entry);
+    const name = entry.name === undefined ? `${viewport.width}x${viewport.height}` : String(entry.name).trim();
+    return { name, device: null, viewport };
+  });
+  
+  for (const { name } of list) {
+    // Names are used as keys in stored issues
+    if (!name || name.length > 50 || /[.$]/.test(name)) {
+      throw new ScanOptionsError('viewport names must be 1 to 50 characters without "." or "$"');
+    }
+  }
+  if (new Set(list.map(entry => entry.name)).size !== list.length) {
+    throw new ScanOptionsError('viewport names must be unique');
+  }
+  return list;
+}
+
+// Validate one layer of options (request body or saved defaults). Only the
+// keys present in `input` are returned so that layers can be merged.
+function parseScanOptions(input) {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new ScanOptionsError('options must be an object');
+  }
+  
+  const options = {};
+  
+  if (input.standard !== undefined) {
+    const standard = String(input.standard).toUpperCase();
+    if (!STANDARDS.includes(standard)) {
+      throw new ScanOptionsError(`standard must be one of ${STANDARDS.join(', ')}`);
+    }
+    options.standard = standard;
+  }
+  
+  if (input.runners !== undefined) {
+    if (input.runners === null) {
+      options.runners = null;
+    } else {
+      const runners = (Array.isArray(input.runners) ? input.runners : [input.runners])
+        .map(runner => String(runner).toLowerCase());
+      if (!runners.length || runners.some(runner => !RUNNERS.includes(runner))) {
+        throw new ScanOptionsError(`runners must be a non-empty list of ${RUNNERS.join(', ')}`);
+      }
+      options.runners = [...new Set(runners)];
+    }
+  }
+  
+  for (const key of ['includeWarnings', 'includeNotices', 'keyboard', 'layout', 'screenshot']) {
+    if (input[key] !== undefined) options[key] = Boolean(input[key]);
+  }
+  
+  if (input.ignore !== undefined) {
+    if (!Array.isArray(input.ignore)) {
+      throw new ScanOptionsError('ignore must be a list of rule codes');
+    }
+    options.ignore = [...new Set(input.ignore.map(code => String(code).trim()).filter(Boolean))];
+  }
+  
+  if (input.rootElement !== undefined) options.rootElement = toSelectorList(input.rootElement, 'rootElement');
+  if (input.hideElements !== undefined) options.hideElements = toSelectorList(input.hideElements, 'hideElements');
+  
+  if (input.device !== undefined) {
+    if (input.device !== null && !KnownDevices[input.device]) {
+      throw new ScanOptionsError(`Unknown device "${input.device}"`);
+    }
+    options.device = input.device;
+  }
+  
+  if (input.viewport !== undefined) options.viewport = parseViewport(input.viewport);
+  if (input.viewports !== undefined) options.viewports = parseViewportList(input.viewports);
+  
+  return options;
+}
+
+// Merge built-in defaults, the user's saved defaults and the request options
+function resolveScanOptions(requestOptions, user) {
+  const saved = user && user.scanDefaults ? parseScanOptions(user.scanDefaults) : {};
+  return {
+    ...DEFAULT_SCAN_OPTIONS,
+    ...saved,
+    ...parseScanOptions(requestOptions)
+  };
+}
+
+// Viewport and user agent to emulate. An explicit viewport overrides the
+// device's own viewport but keeps its user agent.
+function resolveEmulation(options) {
+  const device = options.device ? KnownDevices[options.device] : null;
+  return {
+    viewport: options.viewport || (device ? device.viewport : { width: 1280, height: 1024 }),
+    userAgent: device ? device.userAgent : undefined
+  };
+}
+
+// Translate resolved scan options into pa11y options for a page
+function toPa11yOptions(options, { hasForm }) {
+  const { viewport, userAgent } = resolveEmulation(options);
+  
+  return {
+    standard: options.standard,
+    // Include form-specific rules
+    runners: options.runners || (hasForm ? ['htmlcs', 'axe'] : ['htmlcs']),
+    includeWarnings: options.includeWarnings,
+    includeNotices: options.includeNotices,
+    ignore: options.ignore,
+    rootElement: options.rootElement,
+    hideElements: options.hideElements,
+    viewport,
+    userAgent
+  };
+}
+
+module.exports = {
+  DEFAULT_SCAN_OPTIONS,
+  VIEWPORT_PRESETS,
+  ScanOptionsError,
+  parseScanOptions,
+  resolveScanOptions,
+  resolveEmulation,
+  toPa11yOptions
+};
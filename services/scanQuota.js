@@ -0,0 +1,60 @@
+const User = require('../models/User');
+
+// Scans a user may run per calendar month (UTC) unless User.scanQuota overrides it
+const DEFAULT_MONTHLY_SCAN_QUOTA = parseInt(process.env.MONTHLY_SCAN_QUOTA, 10) || 500;
+
+// "2024-01"
+function currentPeriod(now = new Date()) {
+  return now.toISOString().slice(0, 7);
+}
+
+function quotaLimit(user) {
+  return typeof user.scanQuota === 'number' ? user.scanQuota : DEFAULT_MONTHLY_SCAN_QUOTA;
+}
+
+// Limit, usage and reset date for the current month, as reported by /api/auth/me
+function getScanQuota(user, now = new Date()) {
+  const period = currentPeriod(now);
+  const used = user.scanUsage && user.scanUsage.period === period ? user.scanUsage.count : 0;
+  const limit = quotaLimit(user);
+  
+  return {
+    limit,
+    used,
+    remaining: Math.max(limit - used, 0),
+    period,
+    resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  };
+}
+
+function hasScanQuota(user) {
+  return getScanQuota(user).remaining > 0;
+}
+
+// Count `amount` scanned pages against the user's quota. With `enforce`, the
+// count only goes up when it stays within the limit, and false is returned
+// otherwise. Usage starts from zero in every new month.
+async function consumeScanQuota(userId, amount = 1, { enforce = true } = {}) {
+  if (!userId) return true;
+  
+  const period = currentPeriod();
+  await User.updateOne(
+    { _id: userId, 'scanUsage.period': { $ne: period } },
+    { $set: { scanUsage: { period, count: 0 } } }
+  );
+  
+  const user = await User.findById(userId).select('scanQuota');
+  if (!user) return false;
+  
+  const query = { _id: userId, 'scanUsage.period': period };
+  if (enforce) query['scanUsage.count'] = { $lte: quotaLimit(user) - amount };
+  
+  const result = await User.updateOne(query, { $inc: { 'scanUsage.count': amount } });
+  return result.modifiedCount === 1;
+}
+
+module.exports = {
+  getScanQuota,
+  hasScanQuota,
+  consumeScanQuota
+};
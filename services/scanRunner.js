@@ -0,0 +1,215 @@
+const pa11y = require('pa11y');
+const { withPage } = require('./browserPool');
+const { DEFAULT_SCAN_OPTIONS, resolveEmulation, toPa11yOptions } = require('./scanOptions');
+const { applyProfile } = require('./profileActions');
+const { UrlPolicyError, loadUrlPolicy, guardPage } = require('./urlPolicy');
+const { auditKeyboard } = require('./keyboardAudit');
+const { shouldAuditLayout, auditLayout } = require('./layoutAudit');
+const { captureScreenshot } = require('./screenshots');
+const { mergeViewportResults } = require('./viewports');
+const { buildConformance } = require('./scoring');
+
+// Synthetic notice added when a page has forms but no form-related issues
+const FORM_DETECTED_CODE = 'WCAG2AA.info.form-detected';
+
+// Elements that make a page count as having a form
+const FORM_SELECTOR = 'form, input, select, textarea, button, label';
+
+// Scan the page in the viewport `options` describe. The page is loaded once,
+// on a pooled browser, and pa11y tests that same load.
+async function scanInViewport(url, { options, auth, policy, onProgress }) {
+  onProgress(5, 'Waiting for a browser');
+  
+  return withPage(async page => {
+    const { viewport, userAgent } = resolveEmulation(options);
+    await page.setViewport(viewport);
+    if (userAgent) await page.setUserAgent(userAgent);
+    const navigationBlocked = await guardPage(page, policy);
+    
+    try {
+      if (auth) {
+        onProgress(10, 'Applying scan profile');
+        await applyProfile(page, auth, url);
+      }
+      
+      onProgress(20, 'Loading page');
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+    } catch (err) {
+      // Report why the page or one of its redirects was refused rather than
+      // Chrome's net::ERR_BLOCKED_BY_CLIENT
+      if (navigationBlocked()) throw new UrlPolicyError(`Blocked ${navigationBlocked()}`);
+      throw err;
+    }
+    const hasForm = Boolean(await page.$(FORM_SELECTOR));
+    
+    // Collect outgoing links for site crawls
+    const links = await page.$$eval('a[href]', anchors => anchors.map(a => a.href));
+    
+    // Extended options for better scanning
+    onProgress(50, 'Running accessibility checks');
+    const pa11yOptions = toPa11yOptions(options, { hasForm });
+    const results = await pa11y(url, {
+      ...pa11yOptions,
+      browser: page.browser(),
+      page,
+      // Test the page as loaded above; profile headers are already set on it
+      ignoreUrl: true,
+      wait: 1000,
+      timeout: 60000,
+      actions: [
+        // Add common actions to test interaction points
+        'click element html',
+        'wait for element body to be visible'
+      ]
+    });
+    
+    // Enhance results with detected form info
+    const ignored = options.ignore.map(code => code.toLowerCase());
+    // Filter the scan's own checks the way pa11y filters its issues
+    const wanted = issue => !ignored.includes(issue.code.toLowerCase()) &&
+      (issue.type !== 'warning' || options.includeWarnings) &&
+      (issue.type !== 'notice' || options.includeNotices);
+    if (hasForm && options.includeNotices && !ignored.includes(FORM_DETECTED_CODE.toLowerCase())) {
+      // Add form detection note if no form issues were found but forms exist
+      const hasFormIssues = results.issues.some(issue => 
+        (issue.selector?.includes('form') || 
+         issue.selector?.includes('input') ||
+         issue.selector?.includes('select') ||
+         issue.message?.toLowerCase().includes('form') ||
+         issue.message?.toLowerCase().includes('label'))
+      );
+      
+      if (!hasFormIssues) {
+        results.issues.push({
+          type: 'notice',
+          code: FORM_DETECTED_CODE,
+          message: 'Form elements detected on page. Ensure all forms are fully accessible.',
+          selector: 'form',
+          context: '<form>...</form>'
+        });
+      }
+    }
+    
+    // Reflow problems only show up in narrow viewports. A page that breaks the
+    // audit still gets its pa11y results.
+    if (options.layout !== false && shouldAuditLayout(viewport)) {
+      onProgress(65, 'Checking layout');
+      try {
+        const layout = await auditLayout(page, options);
+        results.issues.push(...layout.issues.filter(wanted));
+      } catch (err) {
+        console.warn(`Layout audit failed for ${url}:`, err.message);
+      }
+    }
+    
+    // Capture the page before the keyboard audit moves focus around, and note
+    // where each issue's element is on it
+    let screenshot;
+    if (options.screenshot !== false) {
+      onProgress(70, 'Taking screenshot');
+      try {
+        const capture = await captureScreenshot(page, results.issues);
+        screenshot = capture.screenshot;
+        results.issues.forEach((issue, index) => {
+          issue.box = capture.boxes[index];
+        });
+      } catch (err) {
+        console.warn(`Screenshot failed for ${url}:`, err.message);
+      }
+    }
+    
+    // Tab through the page for what static rules can't see. A page that breaks
+    // the audit still gets its pa11y results.
+    let focusOrder;
+    if (options.keyboard !== false) {
+      onProgress(80, 'Checking keyboard access');
+      try {
+        const keyboard = await auditKeyboard(page, options);
+        focusOrder = keyboard.focusOrder;
+        results.issues.push(...keyboard.issues.filter(wanted));
+      } catch (err) {
+        console.warn(`Keyboard audit failed for ${url}:`, err.message);
+      }
+    }
+    
+    // Map issues to WCAG criteria and score them
+    onProgress(90, 'Scoring results');
+    const { issues, score, conformance } = buildConformance(results.issues, options.standard);
+    return {
+      issues,
+      documentTitle: results.documentTitle,
+      pageUrl: results.pageUrl,
+      score,
+      conformance,
+      hasForm,
+      focusOrder,
+      screenshot,
+      links,
+      // Exactly what pa11y ran with, so the scan can be reproduced
+      options: {
+        ...pa11yOptions,
+        device: options.device,
+        keyboard: options.keyboard !== false,
+        layout: options.layout !== false,
+        screenshot: options.screenshot !== false
+      }
+    };
+  });
+}
+
+// Scan the page once per entry of `options.viewports`, one after the other,
+// and merge the results (see viewports.js). The focus order doesn't depend on
+// the viewport, so the keyboard audit only runs in the first one.
+async function scanInViewports(url, { options, auth, policy, onProgress }) {
+  const share = 95 / options.viewports.length;
+  const runs = [];
+  
+  for (const [index, entry] of options.viewports.entries()) {
+    runs.push(await scanInViewport(url, {
+      options: {
+        ...options,
+        device: entry.device,
+        viewport: entry.viewport,
+        viewports: null,
+        keyboard: index === 0 && options.keyboard !== false
+      },
+      auth,
+      policy,
+      onProgress: (percent, message) => onProgress(Math.round(index * share + (percent * share) / 100), `${entry.name}: ${message}`)
+    }));
+  }
+  
+  const [first] = runs;
+  const { issues, score, conformance, viewports } = mergeViewportResults(options.viewports, runs, options.standard);
+  return {
+    issues,
+    documentTitle: first.documentTitle,
+    pageUrl: first.pageUrl,
+    score,
+    conformance,
+    hasForm: runs.some(run => run.hasForm),
+    focusOrder: first.focusOrder,
+    screenshot: first.screenshot,
+    viewports,
+    // Navigation can differ between layouts, so a crawl follows the links of all of them
+    links: [...new Set(runs.flatMap(run => run.links))],
+    options: { ...first.options, keyboard: options.keyboard !== false, viewports: options.viewports }
+  };
+}
+
+// Run the Puppeteer + pa11y pipeline against a single URL.
+// `options` are resolved scan options (see scanOptions.js), `auth` is an
+// optional decrypted scan profile used to log in first, `policy` is the URL
+// policy every request of the page must pass (see urlPolicy.js), and
+// `onProgress(percent, message)` is called as the scan moves through its stages.
+// With `options.viewports` the page is scanned in each of them.
+async function runPageScan(url, { options = DEFAULT_SCAN_OPTIONS, auth = null, policy = null, onProgress = () => {} } = {}) {
+  const scan = options.viewports && options.viewports.length ? scanInViewports : scanInViewport;
+  return scan(url, { options, auth, policy: policy || await loadUrlPolicy(null), onProgress });
+}
+
+module.exports = {
+  FORM_DETECTED_CODE,
+  FORM_SELECTOR,
+  runPageScan
+};
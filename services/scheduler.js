@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const cronParser = require('cron-parser');
+const Monitor = require('../models/Monitor');
+const jobQueue = require('./jobQueue');
+
+let tickTimer = null;
+
+// Next time a cron schedule fires after `from`. Throws on invalid expressions.
+function computeNextRun(schedule, timezone = 'UTC', from = new Date()) {
+  if (typeof schedule !== 'string' || schedule.trim().split(/\s+/).length !== 5) {
+    throw new Error('Schedule must be a 5-field cron expression');
+  }
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (err) {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+  
+  const interval = cronParser.parseExpression(schedule, { currentDate: from, tz: timezone });
+  return interval.next().toDate();
+}
+
+// Decide whether a run regressed compared with the previous one
+function evaluateRegression(diff, threshold) {
+  const newErrors = diff.added.filter(issue => issue.type === 'error' && !issue.suppressed);
+  const reasons = [];
+  
+  if (newErrors.length) {
+    reasons.push(`${newErrors.length} new error(s)`);
+  }
+  if (diff.scoreDelta !== null && diff.scoreDelta < 0 && -diff.scoreDelta >= threshold) {
+    reasons.push(`Score dropped by ${-diff.scoreDelta} point(s)`);
+  }
+  
+  return { regression: reasons.length > 0, reasons, newErrors };
+}
+
+// Queue a run for one monitor and advance its next run time
+async function queueMonitorRun(monitor) {
+  return jobQueue.enqueue('monitor', { monitorId: monitor._id }, { user: monitor.user, project: monitor.project });
+}
+
+// Queue every monitor whose next run is due. Each monitor is claimed by
+// moving its nextRunAt forward first, so overlapping ticks can't double-run it.
+async function tick(now = new Date()) {
+  if (mongoose.connection.readyState !== 1) return;
+  
+  const due = await Monitor.find({ enabled: true, nextRunAt: { $lte: now } }).limit(100);
+  
+  for (const monitor of due) {
+    let nextRunAt;
+    try {
+      nextRunAt = computeNextRun(monitor.schedule, monitor.timezone, now);
+    } catch (err) {
+      console.error(`Monitor ${monitor._id} has an invalid schedule, disabling:`, err.message);
+      await Monitor.updateOne({ _id: monitor._id }, { enabled: false });
+      continue;
+    }
+    
+    const claimed = await Monitor.findOneAndUpdate(
+      { _id: monitor._id, nextRunAt: monitor.nextRunAt },
+      { nextRunAt },
+      { new: true }
+    );
+    if (claimed) {
+      await queueMonitorRun(claimed);
+    }
+  }
+}
+
+function start({ interval = 60 * 1000 } = {}) {
+  if (tickTimer) return;
+  
+  tickTimer = setInterval(() => {
+    tick().catch(err => console.error('Monitor scheduler tick failed:', err.message));
+  }, interval);
+  tickTimer.unref();
+}
+
+function stop() {
+  clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+module.exports = {
+  computeNextRun,
+  evaluateRegression,
+  queueMonitorRun,
+  tick,
+  start,
+  stop
+};
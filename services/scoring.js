@@ -0,0 +1,114 @@
+const { PRINCIPLES, LEVELS, getCriterion, compareCriteria } = require('./wcag');
+
+// Points deducted per issue type before level weighting
+const TYPE_WEIGHTS = { error: 3, warning: 1, notice: 0.5 };
+
+// Failing a Level A criterion hurts more than failing a AAA one. Issues
+// without a success criterion (best practices, notices) use weight 1.
+const LEVEL_WEIGHTS = { A: 1.5, AA: 1, AAA: 0.5 };
+
+const OTHER = 'Other';
+
+// Attach the WCAG success criterion, level and principle to an issue
+function annotateIssue(issue) {
+  const criterion = getCriterion(issue.code);
+  return {
+    ...issue,
+    wcag: criterion
+      ? { criterion: criterion.id, name: criterion.name, level: criterion.level, principle: criterion.principle }
+      : null
+  };
+}
+
+function emptyBucket() {
+  return { errors: 0, warnings: 0, notices: 0, deduction: 0, failedCriteria: [] };
+}
+
+function countInto(bucket, issue, deduction) {
+  if (issue.type === 'error') bucket.errors++;
+  if (issue.type === 'warning') bucket.warnings++;
+  if (issue.type === 'notice') bucket.notices++;
+  bucket.deduction += deduction;
+  
+  const criterion = issue.wcag && issue.wcag.criterion;
+  if (issue.type === 'error' && criterion && !bucket.failedCriteria.includes(criterion)) {
+    bucket.failedCriteria.push(criterion);
+  }
+}
+
+function finishBucket(bucket) {
+  return {
+    ...bucket,
+    deduction: Math.round(bucket.deduction * 10) / 10,
+    score: Math.max(0, Math.round(100 - bucket.deduction)),
+    failedCriteria: bucket.failedCriteria.sort(compareCriteria)
+  };
+}
+
+// Target level for a pa11y standard name ("WCAG2AA" -> "AA")
+function targetLevel(standard) {
+  const match = /^WCAG2(A{1,3})$/.exec(standard || '');
+  return match ? match[1] : 'AA';
+}
+
+// Per-principle and per-level breakdown of the issues, the conformance verdict
+// against `standard`, and the overall score. Every issue deducts
+// TYPE_WEIGHTS x LEVEL_WEIGHTS points (scaled down when there are more than
+// 50 issues), and the overall score is 100 minus the principle deductions.
+// Suppressed issues are left out.
+function buildConformance(issues, standard = 'WCAG2AA') {
+  const annotated = (issues || []).map(issue => (issue.wcag === undefined ? annotateIssue(issue) : issue));
+  // Suppressed issues (see services/triage.js) are kept but don't count
+  const scored = annotated.filter(issue => !issue.suppressed && TYPE_WEIGHTS[issue.type] !== undefined);
+  
+  // Scale the impact based on total issues to avoid extreme negative scores
+  const scaleFactor = scored.length > 50 ? 50 / scored.length : 1;
+  
+  const principles = Object.fromEntries([...Object.values(PRINCIPLES), OTHER].map(name => [name, emptyBucket()]));
+  const levels = Object.fromEntries([...LEVELS, OTHER].map(name => [name, emptyBucket()]));
+  
+  for (const issue of scored) {
+    const level = issue.wcag ? issue.wcag.level : null;
+    const deduction = TYPE_WEIGHTS[issue.type] * (LEVEL_WEIGHTS[level] || 1) * scaleFactor;
+    
+    countInto(principles[issue.wcag ? issue.wcag.principle : OTHER], issue, deduction);
+    countInto(levels[level || OTHER], issue, deduction);
+  }
+  
+  const totalDeduction = Object.values(principles).reduce((sum, bucket) => sum + bucket.deduction, 0);
+  
+  // Automated checks can only prove failure: the page "fails" a level when an
+  // error maps to a criterion at or below it
+  const target = targetLevel(standard);
+  const inScope = LEVELS.slice(0, LEVELS.indexOf(target) + 1);
+  const failedCriteria = [...new Set(inScope.flatMap(level => levels[level].failedCriteria))].sort(compareCriteria);
+  const passes = failedCriteria.length === 0;
+  
+  return {
+    issues: annotated,
+    score: Math.max(0, Math.round(100 - totalDeduction)),
+    conformance: {
+      target,
+      passes,
+      failedCriteria,
+      summary: passes
+        ? `No automated ${target} failures found`
+        : `Fails ${target} on ${failedCriteria.join(', ')}`,
+      principles: Object.fromEntries(Object.entries(principles).map(([name, bucket]) => [name, finishBucket(bucket)])),
+      levels: Object.fromEntries(Object.entries(levels).map(([name, bucket]) => [name, finishBucket(bucket)]))
+    }
+  };
+}
+
+// Overall 0-100 score for a list of issues (see buildConformance)
+function calculateScore(issues, standard) {
+  if (!issues || !Array.isArray(issues)) return 100;
+  return buildConformance(issues, standard).score;
+}
+
+module.exports = {
+  annotateIssue,
+  buildConformance,
+  calculateScore,
+  targetLevel
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const { withPage } = require('./browserPool');
+const { saveImage, readImage } = require('./imageStore');
+
+// Longest page captured, in device pixels; the rest of a taller page is cut off
+const MAX_SCREENSHOT_PIXELS = parseInt(process.env.SCREENSHOT_MAX_HEIGHT, 10) || 10000;
+
+// Room left around an issue's element in its thumbnail, and the largest thumbnail
+const THUMBNAIL_PADDING = 24;
+const MAX_THUMBNAIL_WIDTH = 1200;
+const MAX_THUMBNAIL_HEIGHT = 800;
+
+const TYPE_COLORS = { error: '#c5221f', warning: '#b06000', notice: '#1a73e8' };
+const ISSUE_TYPES = Object.keys(TYPE_COLORS);
+
+// Runs in the page: page coordinates of the element each selector points at,
+// or null when it isn't found or has no size
+function resolveBoxes(selectors) {
+  return selectors.map(selector => {
+    try {
+      const el = selector ? document.querySelector(selector) : null;
+      if (!el) return null;
+      const rect = el.getBoundingClientRect();
+      if (!rect.width && !rect.height) return null;
+      return {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      };
+    } catch (err) {
+      return null;
+    }
+  });
+}
+
+// Take a full-page screenshot, store it, and find the box of every issue's
+// element on it. Boxes and sizes are CSS pixels; `scale` is the device pixel ratio.
+async function captureScreenshot(page, issues) {
+  const boxes = await page.evaluate(resolveBoxes, issues.map(issue => issue.selector || ''));
+  const size = await page.evaluate(() => ({
+    width: document.documentElement.scrollWidth,
+    height: Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0)
+  }));
+  
+  const scale = (page.viewport() && page.viewport().deviceScaleFactor) || 1;
+  const height = Math.min(size.height, Math.floor(MAX_SCREENSHOT_PIXELS / scale));
+  const image = await page.screenshot({
+    type: 'png',
+    clip: { x: 0, y: 0, width: size.width, height },
+    captureBeyondViewport: true
+  });
+  
+  const key = `screenshots/${crypto.randomUUID()}`;
+  await saveImage(`${key}/page.png`, image, 'image/png');
+  
+  return {
+    screenshot: { key, width: size.width, height, scale, truncated: size.height > height },
+    boxes
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// The screenshot with a numbered box drawn over each of `marks`
+function overlayHtml(screenshot, image, marks) {
+  const { width, height } = screenshot;
+  const boxes = marks.map(({ number, type, box }) => {
+    const color = TYPE_COLORS[type] || TYPE_COLORS.notice;
+    // Labels go above the box, or below it when the box touches the top
+    const labelPosition = box.y < 24 ? 'bottom: -24px' : 'top: -24px';
+    return `<div class="mark" style="left: ${box.x}px; top: ${box.y}px; width: ${Math.max(box.width, 4)}px; height: ${Math.max(box.height, 4)}px; border-color: ${color}">`
+      + `<span style="${labelPosition}; background: ${color}">${escapeHtml(number)}</span></div>`;
+  }).join('');
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { margin: 0; }
+    .shot { position: relative; width: ${width}px; height: ${height}px; overflow: hidden; }
+    .shot img { display: block; width: ${width}px; height: ${height}px; }
+    .mark { position: absolute; box-sizing: border-box; border: 3px solid; border-radius: 2px; box-shadow: 0 0 0 1px #fff; }
+    .mark span { position: absolute; left: -3px; min-width: 22px; height: 22px; padding: 0 4px; box-sizing: border-box;
+      font: bold 13px/22px sans-serif; color: #fff; text-align: center; border-radius: 3px; }
+  </style>
+</head>
+<body><div class="shot"><img src="data:image/png;base64,${image.toString('base64')}" alt="">${boxes}</div></body>
+</html>`;
+}
+
+// Render the overlay in a pooled browser and capture `clip` of it (all of it by default)
+function renderOverlay(screenshot, image, marks, clip = null) {
+  const { width, height, scale = 1 } = screenshot;
+  return withPage(async page => {
+    await page.setViewport({ width, height: Math.min(height, 2000), deviceScaleFactor: scale });
+    await page.setContent(overlayHtml(screenshot, image, marks), { waitUntil: 'load' });
+    return page.screenshot({ type: 'png', clip: clip || { x: 0, y: 0, width, height }, captureBeyondViewport: true });
+  });
+}
+
+// The screenshot of a scan and the issue boxes drawn on it: the scan's own,
+// or those of one viewport of a multi-viewport scan. Null when there is none.
+function screenshotView(scan, viewport = null) {
+  if (!viewport) {
+    return scan.screenshot ? { screenshot: scan.screenshot, boxOf: issue => issue.box } : null;
+  }
+  const entry = (scan.viewports || []).find(candidate => candidate.name === viewport);
+  return entry && entry.screenshot
+    ? { screenshot: entry.screenshot, boxOf: issue => (issue.boxes ? issue.boxes[viewport] : null) }
+    : null;
+}
+
+// Issues that can be drawn, numbered by their position in `scan.issues` from 1
+function issueMarks(scan, view, types = ISSUE_TYPES) {
+  return (scan.issues || [])
+    .map((issue, index) => ({ number: index + 1, type: issue.type, box: view.boxOf(issue) }))
+    .filter(mark => mark.box && types.includes(mark.type) && mark.box.y < view.screenshot.height);
+}
+
+// The stored screenshot as taken, or null when it's gone
+function readScreenshot(scan, { viewport = null } = {}) {
+  const view = screenshotView(scan, viewport);
+  return view ? readImage(`${view.screenshot.key}/page.png`) : null;
+}
+
+// The screenshot with a numbered box on each issue of `types`. The version
+// with every type is rendered once and then served from the image store.
+async function renderAnnotatedScreenshot(scan, { types = ISSUE_TYPES, viewport = null } = {}) {
+  const view = screenshotView(scan, viewport);
+  if (!view) return null;
+  
+  const all = ISSUE_TYPES.every(type => types.includes(type));
+  const cacheKey = `${view.screenshot.key}/annotated.png`;
+  if (all) {
+    const cached = await readImage(cacheKey);
+    if (cached) return cached;
+  }
+  
+  const image = await readScreenshot(scan, { viewport });
+  if (!image) return null;
+  
+  const annotated = await renderOverlay(view.screenshot, image, issueMarks(scan, view, types));
+  if (all) await saveImage(cacheKey, annotated, 'image/png');
+  return annotated;
+}
+
+// A crop of the screenshot around issue `number` (its position in
+// `scan.issues` from 1) with its box drawn, or null when the issue has no box
+async function renderIssueThumbnail(scan, number, { viewport = null } = {}) {
+  const view = screenshotView(scan, viewport);
+  const mark = view && issueMarks(scan, view).find(candidate => candidate.number === number);
+  if (!mark) return null;
+  
+  const cacheKey = `${view.screenshot.key}/issue-${number}.png`;
+  const cached = await readImage(cacheKey);
+  if (cached) return cached;
+  
+  const image = await readScreenshot(scan, { viewport });
+  if (!image) return null;
+  
+  const { width, height } = view.screenshot;
+  const x = Math.max(0, mark.box.x - THUMBNAIL_PADDING);
+  const y = Math.max(0, mark.box.y - THUMBNAIL_PADDING - 24);
+  const clip = {
+    x,
+    y,
+    width: Math.max(1, Math.min(mark.box.width + THUMBNAIL_PADDING * 2, MAX_THUMBNAIL_WIDTH, width - x)),
+    height: Math.max(1, Math.min(mark.box.height + THUMBNAIL_PADDING * 2 + 24, MAX_THUMBNAIL_HEIGHT, height - y))
+  };
+  
+  const thumbnail = await renderOverlay(view.screenshot, image, [mark], clip);
+  await saveImage(cacheKey, thumbnail, 'image/png');
+  return thumbnail;
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  captureScreenshot,
+  screenshotView,
+  readScreenshot,
+  renderAnnotatedScreenshot,
+  renderIssueThumbnail
+};
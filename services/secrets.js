@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// Key used to encrypt stored credentials (profile cookies, headers, passwords).
+// Any string works; it is stretched to a 256-bit key.
+const SECRET_KEY = process.env.PROFILE_SECRET_KEY || process.env.JWT_SECRET || 'your-profile-secret-key';
+const KEY = crypto.createHash('sha256').update(SECRET_KEY).digest();
+
+const PREFIX = 'enc:v1:';
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// AES-256-GCM, stored as "enc:v1:<iv>:<auth tag>:<ciphertext>" in base64
+function encrypt(plaintext) {
+  if (plaintext === null || plaintext === undefined || isEncrypted(plaintext)) return plaintext;
+  
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', KEY, iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  
+  return PREFIX + [iv, tag, data].map(part => part.toString('base64')).join(':');
+}
+
+function decrypt(value) {
+  if (!isEncrypted(value)) return value;
+  
+  const [iv, tag, data] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  isEncrypted,
+  encrypt,
+  decrypt
+};
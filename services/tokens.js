@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const AccountToken = require('../models/AccountToken');
+const ApiKey = require('../models/ApiKey');
+
+// Environment variable for JWT secret
+const JWT_SECRET = process.env.JWT_SECRET || 'your-jwt-secret-key';
+
+// Access tokens are short-lived; clients renew them with the refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// API keys are recognizable by their prefix, unlike JWTs
+const API_KEY_PREFIX = 'ask_';
+
+const ACCOUNT_TOKEN_TTL_MS = {
+  'password-reset': 60 * 60 * 1000,
+  'verify-email': 48 * 60 * 60 * 1000
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// `v` ties the token to the user's tokenVersion, so bumping the version
+// invalidates every access token issued before
+function signAccessToken(user) {
+  return jwt.sign({ id: user._id, v: user.tokenVersion || 0 }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Returns the decoded payload, or throws when the token is invalid or expired
+function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+async function issueRefreshToken(user, { family = crypto.randomUUID(), userAgent } = {}) {
+  const token = randomToken();
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    userAgent,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return token;
+}
+
+// Access and refresh token pair returned by login, register and refresh
+async function issueSession(user, { family, userAgent } = {}) {
+  return {
+    token: signAccessToken(user),
+    refreshToken: await issueRefreshToken(user, { family, userAgent }),
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// Exchange a refresh token for a new session. The presented token is revoked;
+// if it had already been revoked, someone is replaying a stolen token, so the
+// whole family is revoked and the user has to log in again.
+async function rotateRefreshToken(token, { userAgent } = {}) {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(String(token)) });
+  if (!stored || stored.expiresAt <= new Date()) return null;
+  
+  if (stored.revokedAt) {
+    await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { revokedAt: new Date() });
+    return null;
+  }
+  
+  // Only one concurrent refresh of the same token may win
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  if (!claimed) return null;
+  
+  return { userId: stored.user, family: stored.family };
+}
+
+async function revokeRefreshToken(token) {
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(String(token)), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+}
+
+async function revokeAllRefreshTokens(user) {
+  await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+}
+
+// Create a single-use token for `purpose`, replacing any earlier one
+async function createAccountToken(user, purpose) {
+  const token = randomToken();
+  await AccountToken.deleteMany({ user: user._id, purpose });
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ACCOUNT_TOKEN_TTL_MS[purpose])
+  });
+  return token;
+}
+
+// Use up a token, returning the id of the user it was issued to
+async function consumeAccountToken(token, purpose) {
+  const stored = await AccountToken.findOneAndDelete({
+    tokenHash: hashToken(String(token)),
+    purpose,
+    expiresAt: { $gt: new Date() }
+  });
+  return stored ? stored.user : null;
+}
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+// Create an API key; returns the stored document and the key to hand out once
+async function createApiKey(user, { name, scopes, expiresAt }) {
+  const key = API_KEY_PREFIX + randomToken();
+  const apiKey = await ApiKey.create({
+    name,
+    scopes,
+    expiresAt,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashToken(key),
+    user: user._id
+  });
+  return { apiKey, key };
+}
+
+// Find the unexpired key matching `key` and record that it was used
+async function authenticateApiKey(key) {
+  const apiKey = await ApiKey.findOneAndUpdate(
+    {
+      keyHash: hashToken(key),
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    },
+    { lastUsedAt: new Date() },
+    { new: true }
+  );
+  return apiKey;
+}
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  createAccountToken,
+  consumeAccountToken,
+  isApiKey,
+  createApiKey,
+  authenticateApiKey
+};
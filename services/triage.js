@@ -0,0 +1,51 @@
+const IssueTriage = require('../models/IssueTriage');
+const { fingerprintIssue } = require('./fingerprint');
+const { buildConformance } = require('./scoring');
+const { summarizeViewports } = require('./viewports');
+
+function triageKey(url, fingerprint) {
+  return `${url || ''}|${fingerprint}`;
+}
+
+// Triage entries for scans filed under `project`, or for the personal scans
+// of `user` when there is no project
+async function loadTriage({ user, project }) {
+  if (!project && !user) return new Map();
+  
+  const query = project ? { project } : { user, project: null };
+  const entries = await IssueTriage.find(query).select('fingerprint url status assignee note').lean();
+  return new Map(entries.map(entry => [triageKey(entry.url, entry.fingerprint), entry]));
+}
+
+// Tag each issue with its fingerprint and, when it has one, its triage
+// status. An entry for `url` wins over one for the whole scope.
+function tagIssues(issues, triage, url) {
+  return (issues || []).map(issue => {
+    const fingerprint = fingerprintIssue(issue);
+    const entry = (url && triage.get(triageKey(url, fingerprint))) || triage.get(triageKey(null, fingerprint));
+    if (!entry) return { ...issue, fingerprint };
+    
+    const tagged = {
+      ...issue,
+      fingerprint,
+      triage: { id: entry._id, status: entry.status, assignee: entry.assignee, note: entry.note }
+    };
+    if (IssueTriage.SUPPRESSED_STATUSES.includes(entry.status)) tagged.suppressed = true;
+    return tagged;
+  });
+}
+
+// Apply triage to the results of a page scan and score them again without the
+// suppressed issues, per viewport too for multi-viewport scans. `url` is null
+// for uploads, which only match entries covering the whole scope.
+function applyTriage(results, triage, url) {
+  const standard = results.options && results.options.standard;
+  const { issues, score, conformance } = buildConformance(tagIssues(results.issues, triage, url), standard);
+  const viewports = results.viewports && summarizeViewports(issues, results.viewports, standard);
+  return { ...results, issues, score, conformance, viewports };
+}
+
+module.exports = {
+  loadTriage,
+  applyTriage
+};
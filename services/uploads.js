@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const yauzl = require('yauzl');
+
+// Size limits for uploaded documents. Archives are limited both as sent and
+// once extracted, so a small zip can't expand into gigabytes.
+const MAX_HTML_BYTES = 5 * 1024 * 1024;
+const MAX_ARCHIVE_BYTES = 5 * 1024 * 1024;
+const MAX_EXTRACTED_BYTES = 50 * 1024 * 1024;
+const MAX_ARCHIVE_FILES = 2000;
+
+class UploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UploadError';
+  }
+}
+
+// Clean up a path inside an archive. Returns null for paths that would escape
+// the archive root and for metadata that isn't part of the site.
+function normalizeEntryPath(name) {
+  const normalized = path.posix.normalize(String(name).replace(/\\/g, '/')).replace(/^\/+|\/+$/g, '');
+  if (!normalized || normalized === '.' || normalized.startsWith('../')) return null;
+  if (normalized.startsWith('__MACOSX/') || path.posix.basename(normalized) === '.DS_Store') return null;
+  return normalized;
+}
+
+// Extract a zip held in memory into a Map of path => Buffer
+function readArchive(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true, validateEntrySizes: true }, (err, zipfile) => {
+      if (err) return reject(new UploadError(`archive is not a valid zip file: ${err.message}`));
+      
+      const files = new Map();
+      let extracted = 0;
+      const fail = error => {
+        zipfile.close();
+        reject(error instanceof UploadError ? error : new UploadError(`archive could not be read: ${error.message}`));
+      };
+      
+      zipfile.on('error', fail);
+      zipfile.on('end', () => resolve(files));
+      zipfile.on('entry', entry => {
+        const name = normalizeEntryPath(entry.fileName);
+        if (!name || entry.fileName.endsWith('/')) return zipfile.readEntry();
+        if (files.size >= MAX_ARCHIVE_FILES) {
+          return fail(new UploadError(`archive has more than ${MAX_ARCHIVE_FILES} files`));
+        }
+        
+        zipfile.openReadStream(entry, (streamErr, stream) => {
+          if (streamErr) return fail(streamErr);
+          
+          const chunks = [];
+          stream.on('data', chunk => {
+            extracted += chunk.length;
+            if (extracted > MAX_EXTRACTED_BYTES) {
+              stream.destroy();
+              return fail(new UploadError(`archive expands to more than ${MAX_EXTRACTED_BYTES / 1024 / 1024} MB`));
+            }
+            chunks.push(chunk);
+          });
+          stream.on('error', fail);
+          stream.on('end', () => {
+            files.set(name, Buffer.concat(chunks));
+            zipfile.readEntry();
+          });
+        });
+      });
+      zipfile.readEntry();
+    });
+  });
+}
+
+// The page of an archive to scan: `requested` when given, otherwise
+// index.html at the root or inside a single top-level folder, otherwise the
+// only HTML file
+function findEntry(files, requested) {
+  if (requested) {
+    const entry = normalizeEntryPath(requested);
+    if (!entry || !files.has(entry)) {
+      throw new UploadError(`entry ${requested} is not in the archive`);
+    }
+    return entry;
+  }
+  
+  if (files.has('index.html')) return 'index.html';
+  
+  const names = [...files.keys()];
+  const roots = new Set(names.map(name => name.split('/')[0]));
+  if (roots.size === 1) {
+    const [root] = roots;
+    if (files.has(`${root}/index.html`)) return `${root}/index.html`;
+  }
+  
+  const pages = names.filter(name => /\.html?$/i.test(name));
+  if (pages.length === 1) return pages[0];
+  throw new UploadError(pages.length
+    ? 'archive has several HTML files and no index.html; say which to scan with entry'
+    : 'archive contains no HTML file');
+}
+
+// Validate an upload request body: either `html`, a document as a string, or
+// `archive`, a base64 zip of a static site with an optional `entry` page.
+// Resolves with the job payload describing the upload.
+async function parseUpload(body) {
+  const { html, archive, entry, name } = body;
+  if ((html === undefined) === (archive === undefined)) {
+    throw new UploadError('Provide either html or archive');
+  }
+  if (name !== undefined && (typeof name !== 'string' || name.length > 200)) {
+    throw new UploadError('name must be a string of at most 200 characters');
+  }
+  
+  if (html !== undefined) {
+    if (typeof html !== 'string' || !html.trim()) {
+      throw new UploadError('html must be a non-empty string');
+    }
+    if (Buffer.byteLength(html) > MAX_HTML_BYTES) {
+      throw new UploadError(`html must be at most ${MAX_HTML_BYTES / 1024 / 1024} MB`);
+    }
+    return {
+      kind: 'html',
+      name: name || 'document.html',
+      html,
+      sha256: crypto.createHash('sha256').update(html).digest('hex')
+    };
+  }
+  
+  if (typeof archive !== 'string' || !archive) {
+    throw new UploadError('archive must be a base64 encoded zip file');
+  }
+  const buffer = Buffer.from(archive, 'base64');
+  if (buffer.length > MAX_ARCHIVE_BYTES) {
+    throw new UploadError(`archive must be at most ${MAX_ARCHIVE_BYTES / 1024 / 1024} MB`);
+  }
+  
+  const files = await readArchive(buffer);
+  return {
+    kind: 'archive',
+    name: name || 'site.zip',
+    archive,
+    entry: findEntry(files, entry),
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+}
+
+// Files to serve for an upload payload, and the path of the page to scan
+async function loadUploadFiles(payload) {
+  if (payload.kind === 'html') {
+    return { files: new Map([['index.html', Buffer.from(payload.html)]]), entry: 'index.html' };
+  }
+  const files = await readArchive(Buffer.from(payload.archive, 'base64'));
+  return { files, entry: findEntry(files, payload.entry) };
+}
+
+// Serve `files` on a temporary origin bound to the loopback interface, call
+// `fn(origin)` and shut the server down once it settles. Only GET and HEAD
+// requests are answered; folders serve their index.html.
+async function serveFiles(files, fn) {
+  const app = express();
+  app.disable('x-powered-by');
+  app.use((req, res) => {
+    if (!['GET', 'HEAD'].includes(req.method)) return res.sendStatus(405);
+    
+    let name;
+    try {
+      name = normalizeEntryPath(decodeURIComponent(req.path));
+    } catch (err) {
+      return res.sendStatus(400);
+    }
+    if (name && !files.has(name) && files.has(`${name}/index.html`)) {
+      // Like any static server, so relative links inside the folder resolve
+      if (!req.path.endsWith('/')) return res.redirect(301, `${req.path}/`);
+      name = `${name}/index.html`;
+    }
+    if (!name && files.has('index.html')) name = 'index.html';
+    if (!name || !files.has(name)) return res.sendStatus(404);
+    
+    res.type(path.posix.extname(name) || 'application/octet-stream');
+    res.send(files.get(name));
+  });
+  
+  const server = http.createServer(app);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+// What a scan looked at, for reports and notifications: its URL, or the
+// name of the upload
+function describeTarget(scan) {
+  if (scan.url) return scan.url;
+  const source = scan.source || {};
+  const label = source.kind === 'archive' ? `${source.name} (${source.entry})` : source.name;
+  return `upload: ${label}`;
+}
+
+module.exports = {
+  UploadError,
+  parseUpload,
+  loadUploadFiles,
+  serveFiles,
+  describeTarget
+};
@@ -0,0 +1,232 @@
+const dns = require('dns').promises;
+const net = require('net');
+const Project = require('../models/Project');
+const Organization = require('../models/Organization');
+
+// Addresses a scan must never reach: "this" network, private networks,
+// carrier-grade NAT, loopback, link-local (cloud metadata lives at
+// 169.254.169.254), documentation, benchmarking, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 96], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Schemes a scanned page may use for subresources without a network request
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?\.)*[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?$/;
+
+class UrlPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UrlPolicyError';
+  }
+}
+
+// Validate a list of domains such as ["example.com", "*.staging.example.com"].
+// A domain also covers its subdomains, so a leading "*." or "." is dropped.
+function parseDomainList(value, field) {
+  if (value === null || value === undefined || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  
+  const domains = list
+    .map(domain => String(domain).trim().toLowerCase().replace(/^\*?\./, '').replace(/\.$/, ''))
+    .filter(Boolean);
+  const invalid = domains.find(domain => !DOMAIN_PATTERN.test(domain) && net.isIP(domain) === 0);
+  if (invalid) {
+    throw new UrlPolicyError(`${field} contains an invalid domain: ${invalid}`);
+  }
+  return [...new Set(domains)];
+}
+
+// Lists set by whoever runs the server. SCAN_ALLOWED_DOMAINS, when set, is the
+// only place scans may go; SCAN_BLOCKED_DOMAINS are never scanned; and
+// SCAN_PRIVATE_DOMAINS may resolve to private addresses, e.g. an internal staging host.
+function envPolicy() {
+  return {
+    allowedDomains: parseDomainList(process.env.SCAN_ALLOWED_DOMAINS, 'SCAN_ALLOWED_DOMAINS'),
+    blockedDomains: parseDomainList(process.env.SCAN_BLOCKED_DOMAINS, 'SCAN_BLOCKED_DOMAINS'),
+    privateDomains: parseDomainList(process.env.SCAN_PRIVATE_DOMAINS, 'SCAN_PRIVATE_DOMAINS')
+  };
+}
+
+function matchesDomain(hostname, domains) {
+  return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+// Hostname of a parsed URL without IPv6 brackets or a trailing dot
+function bareHostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+}
+
+// Policy for scans filed under `project` (an id, a document or null). An
+// organization's lists can only narrow what the server allows: its allowed
+// domains must also pass the server lists, and it can't permit private addresses.
+async function loadUrlPolicy(project) {
+  const policy = { ...envPolicy(), organization: { allowedDomains: [], blockedDomains: [] } };
+  if (!project) return policy;
+  
+  const projectDoc = project.organization ? project : await Project.findById(project).select('organization');
+  const organization = projectDoc && await Organization.findById(projectDoc.organization).select('urlPolicy');
+  if (organization && organization.urlPolicy) {
+    policy.organization = {
+      allowedDomains: organization.urlPolicy.allowedDomains || [],
+      blockedDomains: organization.urlPolicy.blockedDomains || []
+    };
+  }
+  return policy;
+}
+
+// Reason the domain lists reject `hostname`, or null
+function domainBlockReason(hostname, policy) {
+  const { allowedDomains, blockedDomains, organization } = policy;
+  
+  if (matchesDomain(hostname, blockedDomains) || matchesDomain(hostname, organization.blockedDomains)) {
+    return `${hostname} is on the list of blocked domains`;
+  }
+  if (allowedDomains.length && !matchesDomain(hostname, allowedDomains)) {
+    return `${hostname} is not on the list of allowed domains`;
+  }
+  if (organization.allowedDomains.length && !matchesDomain(hostname, organization.allowedDomains)) {
+    return `${hostname} is not on the organization's list of allowed domains`;
+  }
+  return null;
+}
+
+// Reason `hostname` may not be reached because of where it points, or null.
+// Every address the name resolves to must be public.
+async function addressBlockReason(hostname, policy) {
+  if (matchesDomain(hostname, policy.privateDomains)) return null;
+  
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname, family: net.isIP(hostname) }];
+  } else {
+    try {
+      addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch (err) {
+      return `${hostname} could not be resolved`;
+    }
+  }
+  
+  const blocked = addresses.find(({ address, family }) => BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  if (blocked) {
+    return blocked.address === hostname
+      ? `${hostname} is a private or reserved address`
+      : `${hostname} resolves to a private or reserved address (${blocked.address})`;
+  }
+  return null;
+}
+
+// Parse user input into a canonical http(s) URL. A missing scheme means https.
+function normalizeTargetUrl(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new UrlPolicyError('URL must be a non-empty string');
+  }
+  
+  const value = input.trim();
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(value) ? value : `https://${value}`);
+  } catch (err) {
+    throw new UrlPolicyError('Invalid URL');
+  }
+  
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new UrlPolicyError('Only http and https URLs can be scanned');
+  }
+  if (url.username || url.password) {
+    throw new UrlPolicyError('URLs with credentials cannot be scanned; use a scan profile instead');
+  }
+  url.hash = '';
+  return url;
+}
+
+// Reason a request to `href` breaks the policy, or null when it may go ahead
+async function blockReason(href, policy) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (err) {
+    return 'Invalid URL';
+  }
+  if (LOCAL_SCHEMES.includes(url.protocol)) return null;
+  if (!['http:', 'https:'].includes(url.protocol)) return `${url.protocol} URLs are not allowed`;
+  // Origins the server set up itself, such as the one serving an upload
+  if (policy.trustedOrigins && policy.trustedOrigins.includes(url.origin)) return null;
+  
+  const hostname = bareHostname(url);
+  return domainBlockReason(hostname, policy) || addressBlockReason(hostname, policy);
+}
+
+// Normalize a scan target and check it against `policy`. Resolves with the
+// URL to scan; throws a UrlPolicyError giving the reason otherwise.
+async function checkTargetUrl(input, policy) {
+  const url = normalizeTargetUrl(input);
+  const reason = await blockReason(url.toString(), policy);
+  if (reason) {
+    throw new UrlPolicyError(`URL not allowed: ${reason}`);
+  }
+  return url.toString();
+}
+
+// Send every request `page` makes, including redirects, frames and
+// subresources, through the policy, and close any popup it opens. Decisions
+// are cached per host for the life of the page. Returns a function giving the
+// reason the page's own navigation was blocked, if it was.
+async function guardPage(page, policy) {
+  const decisions = new Map();
+  let navigationBlocked = null;
+  
+  await page.setRequestInterception(true);
+  page.on('request', async request => {
+    try {
+      let key;
+      try {
+        const url = new URL(request.url());
+        key = LOCAL_SCHEMES.includes(url.protocol) ? url.protocol : `${url.protocol}//${url.host}`;
+      } catch (err) {
+        key = request.url();
+      }
+      if (!decisions.has(key)) {
+        decisions.set(key, blockReason(request.url(), policy));
+      }
+      const reason = await decisions.get(key);
+      
+      if (!reason) return await request.continue();
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        navigationBlocked = `${request.url()}: ${reason}`;
+      }
+      await request.abort('blockedbyclient');
+    } catch (err) {
+      // The page was closed or the request already handled
+    }
+  });
+  page.on('popup', popup => {
+    if (popup) popup.close().catch(() => {});
+  });
+  
+  return () => navigationBlocked;
+}
+
+module.exports = {
+  UrlPolicyError,
+  parseDomainList,
+  loadUrlPolicy,
+  normalizeTargetUrl,
+  checkTargetUrl,
+  blockReason,
+  guardPage
+};
@@ -0,0 +1,85 @@
+const { fingerprintIssue } = require('./fingerprint');
+const { buildConformance } = require('./scoring');
+
+function countByType(issues) {
+  const counts = { error: 0, warning: 0, notice: 0, suppressed: 0 };
+  for (const issue of issues) {
+    if (issue.suppressed) counts.suppressed++;
+    else if (issue.type in counts) counts[issue.type]++;
+  }
+  return counts;
+}
+
+// Score, counts and verdict of each viewport over the issues found in it.
+// `viewports` are the stored per-viewport records; their other fields are kept.
+function summarizeViewports(issues, viewports, standard) {
+  return viewports.map(viewport => {
+    const found = issues.filter(issue => (issue.viewports || []).includes(viewport.name));
+    const { score, conformance } = buildConformance(found, standard);
+    return {
+      ...viewport,
+      score,
+      counts: countByType(found),
+      conformance: {
+        target: conformance.target,
+        passes: conformance.passes,
+        failedCriteria: conformance.failedCriteria,
+        summary: conformance.summary
+      }
+    };
+  });
+}
+
+// Combine the results of scanning one page in several viewports. The same
+// problem found in several viewports becomes one issue listing them in
+// `viewports`, with `viewportSpecific` set when it wasn't found in all of
+// them. `boxes` holds its position in each viewport's screenshot and `box` the
+// one in the first viewport, whose screenshot is the scan's own.
+function mergeViewportResults(entries, runs, standard) {
+  const names = entries.map(entry => entry.name);
+  const merged = [];
+  const occurrences = new Map();
+  
+  runs.forEach((run, index) => {
+    const name = names[index];
+    // The same fingerprint can occur more than once on a page; match per occurrence
+    const seen = new Map();
+    for (const { box, ...issue } of run.issues) {
+      const fingerprint = fingerprintIssue(issue);
+      const occurrence = seen.get(fingerprint) || 0;
+      seen.set(fingerprint, occurrence + 1);
+      
+      if (!occurrences.has(fingerprint)) occurrences.set(fingerprint, []);
+      const matches = occurrences.get(fingerprint);
+      if (occurrence < matches.length) {
+        matches[occurrence].viewports.push(name);
+        matches[occurrence].boxes[name] = box || null;
+      } else {
+        const entry = { ...issue, viewports: [name], boxes: { [name]: box || null } };
+        matches.push(entry);
+        merged.push(entry);
+      }
+    }
+  });
+  
+  for (const issue of merged) {
+    issue.viewportSpecific = issue.viewports.length < names.length;
+    issue.box = issue.boxes[names[0]] || null;
+  }
+  
+  const { issues, score, conformance } = buildConformance(merged, standard);
+  const viewports = entries.map((entry, index) => ({
+    name: entry.name,
+    device: entry.device,
+    viewport: runs[index].options.viewport,
+    documentTitle: runs[index].documentTitle,
+    screenshot: runs[index].screenshot
+  }));
+  
+  return { issues, score, conformance, viewports: summarizeViewports(issues, viewports, standard) };
+}
+
+module.exports = {
+  summarizeViewports,
+  mergeViewportResults
+};
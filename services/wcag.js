@@ -0,0 +1,250 @@
+// WCAG 2.1 success criteria and helpers to map pa11y/axe issue codes onto them
+
+const PRINCIPLES = {
+  1: 'Perceivable',
+  2: 'Operable',
+  3: 'Understandable',
+  4: 'Robust'
+};
+
+const LEVELS = ['A', 'AA', 'AAA'];
+
+// [criterion, name, level]
+const CRITERIA_LIST = [
+  ['1.1.1', 'Non-text Content', 'A'],
+  ['1.2.1', 'Audio-only and Video-only (Prerecorded)', 'A'],
+  ['1.2.2', 'Captions (Prerecorded)', 'A'],
+  ['1.2.3', 'Audio Description or Media Alternative (Prerecorded)', 'A'],
+  ['1.2.4', 'Captions (Live)', 'AA'],
+  ['1.2.5', 'Audio Description (Prerecorded)', 'AA'],
+  ['1.2.6', 'Sign Language (Prerecorded)', 'AAA'],
+  ['1.2.7', 'Extended Audio Description (Prerecorded)', 'AAA'],
+  ['1.2.8', 'Media Alternative (Prerecorded)', 'AAA'],
+  ['1.2.9', 'Audio-only (Live)', 'AAA'],
+  ['1.3.1', 'Info and Relationships', 'A'],
+  ['1.3.2', 'Meaningful Sequence', 'A'],
+  ['1.3.3', 'Sensory Characteristics', 'A'],
+  ['1.3.4', 'Orientation', 'AA'],
+  ['1.3.5', 'Identify Input Purpose', 'AA'],
+  ['1.3.6', 'Identify Purpose', 'AAA'],
+  ['1.4.1', 'Use of Color', 'A'],
+  ['1.4.2', 'Audio Control', 'A'],
+  ['1.4.3', 'Contrast (Minimum)', 'AA'],
+  ['1.4.4', 'Resize Text', 'AA'],
+  ['1.4.5', 'Images of Text', 'AA'],
+  ['1.4.6', 'Contrast (Enhanced)', 'AAA'],
+  ['1.4.7', 'Low or No Background Audio', 'AAA'],
+  ['1.4.8', 'Visual Presentation', 'AAA'],
+  ['1.4.9', 'Images of Text (No Exception)', 'AAA'],
+  ['1.4.10', 'Reflow', 'AA'],
+  ['1.4.11', 'Non-text Contrast', 'AA'],
+  ['1.4.12', 'Text Spacing', 'AA'],
+  ['1.4.13', 'Content on Hover or Focus', 'AA'],
+  ['2.1.1', 'Keyboard', 'A'],
+  ['2.1.2', 'No Keyboard Trap', 'A'],
+  ['2.1.3', 'Keyboard (No Exception)', 'AAA'],
+  ['2.1.4', 'Character Key Shortcuts', 'A'],
+  ['2.2.1', 'Timing Adjustable', 'A'],
+  ['2.2.2', 'Pause, Stop, Hide', 'A'],
+  ['2.2.3', 'No Timing', 'AAA'],
+  ['2.2.4', 'Interruptions', 'AAA'],
+  ['2.2.5', 'Re-authenticating', 'AAA'],
+  ['2.2.6', 'Timeouts', 'AAA'],
+  ['2.3.1', 'Three Flashes or Below Threshold', 'A'],
+  ['2.3.2', 'Three Flashes', 'AAA'],
+  ['2.3.3', 'Animation from Interactions', 'AAA'],
+  ['2.4.1', 'Bypass Blocks', 'A'],
+  ['2.4.2', 'Page Titled', 'A'],
+  ['2.4.3', 'Focus Order', 'A'],
+  ['2.4.4', 'Link Purpose (In Context)', 'A'],
+  ['2.4.5', 'Multiple Ways', 'AA'],
+  ['2.4.6', 'Headings and Labels', 'AA'],
+  ['2.4.7', 'Focus Visible', 'AA'],
+  ['2.4.8', 'Location', 'AAA'],
+  ['2.4.9', 'Link Purpose (Link Only)', 'AAA'],
+  ['2.4.10', 'Section Headings', 'AAA'],
+  ['2.5.1', 'Pointer Gestures', 'A'],
+  ['2.5.2', 'Pointer Cancellation', 'A'],
+  ['2.5.3', 'Label in Name', 'A'],
+  ['2.5.4', 'Motion Actuation', 'A'],
+  ['2.5.5', 'Target Size', 'AAA'],
+  ['2.5.6', 'Concurrent Input Mechanisms', 'AAA'],
+  ['3.1.1', 'Language of Page', 'A'],
+  ['3.1.2', 'Language of Parts', 'AA'],
+  ['3.1.3', 'Unusual Words', 'AAA'],
+  ['3.1.4', 'Abbreviations', 'AAA'],
+  ['3.1.5', 'Reading Level', 'AAA'],
+  ['3.1.6', 'Pronunciation', 'AAA'],
+  ['3.2.1', 'On Focus', 'A'],
+  ['3.2.2', 'On Input', 'A'],
+  ['3.2.3', 'Consistent Navigation', 'AA'],
+  ['3.2.4', 'Consistent Identification', 'AA'],
+  ['3.2.5', 'Change on Request', 'AAA'],
+  ['3.3.1', 'Error Identification', 'A'],
+  ['3.3.2', 'Labels or Instructions', 'A'],
+  ['3.3.3', 'Error Suggestion', 'AA'],
+  ['3.3.4', 'Error Prevention (Legal, Financial, Data)', 'AA'],
+  ['3.3.5', 'Help', 'AAA'],
+  ['3.3.6', 'Error Prevention (All)', 'AAA'],
+  ['4.1.1', 'Parsing', 'A'],
+  ['4.1.2', 'Name, Role, Value', 'A'],
+  ['4.1.3', 'Status Messages', 'AA']
+];
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+const CRITERIA = Object.fromEntries(CRITERIA_LIST.map(([id, name, level]) => {
+  const principleNumber = Number(id.split('.')[0]);
+  return [id, {
+    id,
+    name,
+    level,
+    principle: PRINCIPLES[principleNumber],
+    url: `https://www.w3.org/WAI/WCAG21/Understanding/${slugify(name)}`
+  }];
+}));
+
+// axe-core rule ids (as reported by pa11y's axe runner) mapped to the
+// criterion their WCAG tag points at. Best-practice rules are left out.
+const AXE_RULES = {
+  'area-alt': '1.1.1',
+  'aria-allowed-attr': '4.1.2',
+  'aria-command-name': '4.1.2',
+  'aria-hidden-body': '4.1.2',
+  'aria-hidden-focus': '4.1.2',
+  'aria-input-field-name': '4.1.2',
+  'aria-meter-name': '1.1.1',
+  'aria-progressbar-name': '1.1.1',
+  'aria-required-attr': '4.1.2',
+  'aria-required-children': '1.3.1',
+  'aria-required-parent': '1.3.1',
+  'aria-roles': '4.1.2',
+  'aria-toggle-field-name': '4.1.2',
+  'aria-tooltip-name': '4.1.2',
+  'aria-valid-attr': '4.1.2',
+  'aria-valid-attr-value': '4.1.2',
+  'audio-caption': '1.2.1',
+  'autocomplete-valid': '1.3.5',
+  'avoid-inline-spacing': '1.4.12',
+  'blink': '2.2.2',
+  'button-name': '4.1.2',
+  'bypass': '2.4.1',
+  'color-contrast': '1.4.3',
+  'color-contrast-enhanced': '1.4.6',
+  'css-orientation-lock': '1.3.4',
+  'definition-list': '1.3.1',
+  'dlitem': '1.3.1',
+  'document-title': '2.4.2',
+  'duplicate-id': '4.1.1',
+  'duplicate-id-active': '4.1.1',
+  'duplicate-id-aria': '4.1.1',
+  'form-field-multiple-labels': '3.3.2',
+  'frame-focusable-content': '2.1.1',
+  'frame-title': '4.1.2',
+  'html-has-lang': '3.1.1',
+  'html-lang-valid': '3.1.1',
+  'html-xml-lang-mismatch': '3.1.1',
+  'identical-links-same-purpose': '2.4.9',
+  'image-alt': '1.1.1',
+  'input-button-name': '4.1.2',
+  'input-image-alt': '1.1.1',
+  'label': '4.1.2',
+  'label-content-name-mismatch': '2.5.3',
+  'link-in-text-block': '1.4.1',
+  'link-name': '4.1.2',
+  'list': '1.3.1',
+  'listitem': '1.3.1',
+  'marquee': '2.2.2',
+  'meta-refresh': '2.2.1',
+  'meta-viewport': '1.4.4',
+  'nested-interactive': '4.1.2',
+  'no-autoplay-audio': '1.4.2',
+  'object-alt': '1.1.1',
+  'p-as-heading': '1.3.1',
+  'role-img-alt': '1.1.1',
+  'scrollable-region-focusable': '2.1.1',
+  'select-name': '4.1.2',
+  'server-side-image-map': '2.1.1',
+  'svg-img-alt': '1.1.1',
+  'table-fake-caption': '1.3.1',
+  'td-has-header': '1.3.1',
+  'td-headers-attr': '1.3.1',
+  'th-has-data-cells': '1.3.1',
+  'valid-lang': '3.1.2',
+  'video-caption': '1.2.2'
+};
+
+// Codes this project adds itself
+const CUSTOM_CODES = {
+  // Keyboard audit (keyboardAudit.js)
+  'keyboard-trap': '2.1.2',
+  'keyboard-unreachable': '2.1.1',
+  'keyboard-not-focusable': '2.1.1',
+  'keyboard-focus-not-visible': '2.4.7',
+  'keyboard-positive-tabindex': '2.4.3',
+  // Layout audit at narrow viewports (layoutAudit.js)
+  'layout-horizontal-scroll': '1.4.10',
+  'layout-clipped-text': '1.4.4',
+  'layout-overlapping-text': '1.4.10'
+};
+
+// HTML_CodeSniffer codes look like
+// "WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail"
+const HTMLCS_CODE = /Guideline\d+_\d+\.(\d+)_(\d+)_(\d+)/;
+
+// Success criterion number for an issue code, or null if it has none
+function getCriterionId(code) {
+  if (!code) return null;
+  
+  const htmlcs = HTMLCS_CODE.exec(code);
+  if (htmlcs) return `${htmlcs[1]}.${htmlcs[2]}.${htmlcs[3]}`;
+  
+  return CUSTOM_CODES[code] || AXE_RULES[code] || null;
+}
+
+// Full success criterion record for an issue code, or null
+function getCriterion(code) {
+  const id = getCriterionId(code);
+  return id ? CRITERIA[id] || null : null;
+}
+
+// Sort key so "1.4.10" comes after "1.4.3"
+function compareCriteria(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+// Group issues by success criterion, in WCAG order. Issues without a
+// criterion end up in a final group with `criterion: null`.
+function groupByCriterion(issues) {
+  const groups = new Map();
+  
+  for (const issue of issues) {
+    const criterion = getCriterion(issue.code);
+    const key = criterion ? criterion.id : null;
+    if (!groups.has(key)) groups.set(key, { criterion, issues: [] });
+    groups.get(key).issues.push(issue);
+  }
+  
+  return [...groups.values()].sort((a, b) => {
+    if (!a.criterion) return 1;
+    if (!b.criterion) return -1;
+    return compareCriteria(a.criterion.id, b.criterion.id);
+  });
+}
+
+module.exports = {
+  PRINCIPLES,
+  LEVELS,
+  CRITERIA,
+  getCriterionId,
+  getCriterion,
+  compareCriteria,
+  groupByCriterion
+};
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { decrypt } = require('./secrets');
+const { loadUrlPolicy, blockReason } = require('./urlPolicy');
+
+// Failed deliveries are retried after 30s, 1m, 2m, 4m... until MAX_ATTEMPTS
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+
+// A claimed delivery is left alone by other workers for this long
+const LEASE_MS = 60 * 1000;
+
+let pollTimer = null;
+let processing = false;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>"; the timestamp lets receivers
+// reject replayed requests
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function retryDelay(attempt) {
+  return RETRY_BASE_MS * 2 ** (attempt - 1);
+}
+
+// Slack incoming webhooks (and Mattermost, Discord's /slack endpoint...)
+// accept a `text` field with Slack's mrkdwn
+function formatSlackMessage(payload) {
+  const data = payload.data || {};
+  const link = data.url ? `<${data.url}|${data.url}>` : 'a page';
+  
+  switch (payload.event) {
+    case 'scan.completed':
+      return {
+        text: `:white_check_mark: ${data.monitor ? `Monitor *${data.monitor.name}*: s` : 'S'}can of ${link} finished with a score of *${data.score}*`
+          + (data.counts ? ` (${data.counts.error} errors, ${data.counts.warning} warnings)` : '')
+      };
+    case 'scan.failed':
+      return { text: `:x: Scan of ${link} failed: ${data.error}` };
+    case 'score.regressed':
+      return {
+        text: `:warning: Accessibility regression on monitor *${data.monitor.name}* (${link}): score ${data.score}`
+          + `${data.scoreDelta ? ` (${data.scoreDelta > 0 ? '+' : ''}${data.scoreDelta})` : ''}\n`
+          + (data.reasons || []).map(reason => `• ${reason}`).join('\n')
+      };
+    default:
+      return { text: `:wave: Test message from AssessSight (${payload.event})` };
+  }
+}
+
+async function createDelivery(webhook, payload, { redeliveryOf } = {}) {
+  return WebhookDelivery.create({
+    webhook: webhook._id,
+    event: payload.event,
+    payload,
+    redeliveryOf
+  });
+}
+
+// POST a delivery once and record the attempt. 2xx responses count as
+// delivered; anything else is retried with exponential backoff.
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook);
+  const attempt = { at: new Date() };
+  
+  // Checked again on every attempt since the host may resolve elsewhere by now
+  const blocked = webhook && webhook.enabled && await blockReason(webhook.url, await loadUrlPolicy(webhook.project));
+  
+  if (!webhook || !webhook.enabled) {
+    attempt.error = webhook ? 'Webhook is disabled' : 'Webhook no longer exists';
+  } else if (blocked) {
+    attempt.error = `URL not allowed: ${blocked}`;
+  } else {
+    const body = JSON.stringify(webhook.format === 'slack' ? formatSlackMessage(delivery.payload) : delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AssessSight-Webhooks/1.0',
+          'X-AssessSight-Event': delivery.event,
+          'X-AssessSight-Delivery': delivery._id.toString(),
+          'X-AssessSight-Timestamp': String(timestamp),
+          'X-AssessSight-Signature': `sha256=${sign(decrypt(webhook.secret), timestamp, body)}`
+        },
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      attempt.statusCode = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `Receiver answered ${response.status}`;
+      }
+    } catch (err) {
+      attempt.error = err.code || err.message;
+    }
+    attempt.durationMs = Date.now() - started;
+  }
+  
+  delivery.attempts.push(attempt);
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = attempt.at;
+  } else if (!webhook || !webhook.enabled || delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts.length));
+  }
+  
+  await delivery.save();
+  return delivery;
+}
+
+// Atomically take the next due delivery, pushing its next attempt into the
+// future so other workers skip it while it is being sent
+function claimNextDelivery() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+// Send every delivery that is due, one at a time
+async function processDueDeliveries() {
+  if (processing || mongoose.connection.readyState !== 1) return;
+  processing = true;
+  
+  try {
+    for (;;) {
+      const delivery = await claimNextDelivery();
+      if (!delivery) break;
+      await attemptDelivery(delivery);
+    }
+  } catch (err) {
+    console.error('Webhook delivery error:', err.message);
+  } finally {
+    processing = false;
+  }
+}
+
+// Queue `event` for every enabled webhook listening to it: the project's
+// webhooks for project scans, otherwise the user's personal ones
+async function emitEvent(event, data, { user, project }) {
+  const query = project
+    ? { project, events: event, enabled: true }
+    : { user, project: null, events: event, enabled: true };
+  if (!project && !user) return [];
+  
+  const webhooks = await Webhook.find(query);
+  const payload = { id: crypto.randomUUID(), event, createdAt: new Date(), data };
+  const deliveries = await Promise.all(webhooks.map(webhook => createDelivery(webhook, payload)));
+  
+  if (deliveries.length) {
+    processDueDeliveries();
+  }
+  return deliveries;
+}
+
+// Send a "ping" event to one webhook right away, to check the receiver
+async function sendTestEvent(webhook) {
+  const delivery = await createDelivery(webhook, {
+    id: crypto.randomUUID(),
+    event: 'ping',
+    createdAt: new Date(),
+    data: { webhook: webhook._id, message: 'Test event from AssessSight' }
+  });
+  return attemptDelivery(delivery);
+}
+
+// Send an earlier delivery's payload again, as a new delivery. The payload
+// keeps its id, so receivers can recognize events they already handled.
+async function redeliver(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook);
+  const copy = await createDelivery(webhook, delivery.payload, { redeliveryOf: delivery._id });
+  return attemptDelivery(copy);
+}
+
+// Retry due deliveries in the background, e.g. after a restart
+function start({ interval = 15 * 1000 } = {}) {
+  if (pollTimer) return;
+  
+  pollTimer = setInterval(() => {
+    processDueDeliveries().catch(err => console.error('Webhook worker failed:', err.message));
+  }, interval);
+  pollTimer.unref();
+}
+
+function stop() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+module.exports = {
+  generateSecret,
+  sign,
+  formatSlackMessage,
+  emitEvent,
+  sendTestEvent,
+  redeliver,
+  processDueDeliveries,
+  start,
+  stop
+};
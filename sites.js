@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const SiteScan = require('./models/SiteScan');
+const jobQueue = require('./services/jobQueue');
+const { normalizeSettings } = require('./services/crawler');
+const { resolveScanOptions } = require('./services/scanOptions');
+const { UrlPolicyError, loadUrlPolicy, checkTargetUrl } = require('./services/urlPolicy');
+const ScanProfile = require('./models/ScanProfile');
+const { FORMATS, renderReport } = require('./services/reports');
+const authMiddleware = require('./middleware/authMiddleware');
+const { requireScope } = authMiddleware;
+const { scanLimiter } = require('./middleware/rateLimit');
+const { hasScanQuota } = require('./services/scanQuota');
+const { requireRole, requireProjectRole } = require('./middleware/roleMiddleware');
+
+router.use(authMiddleware.required);
+
+// POST /api/sites
+// Queue a crawl starting at `url`; poll GET /api/scan/jobs/:id for progress.
+// With `projectId` the site scan is shared with the project.
+router.post('/', requireScope('scan:write'), scanLimiter, requireProjectRole('member'), async (req, res) => {
+  const { url, maxDepth, maxPages, include, exclude, respectRobots } = req.body;
+  if (!url) return res.status(400).json({ error: 'Missing URL' });
+  
+  let target;
+  try {
+    target = await checkTargetUrl(url, await loadUrlPolicy(req.project));
+  } catch (err) {
+    return res.status(err instanceof UrlPolicyError ? 400 : 500).json({ error: err.message });
+  }
+  
+  let options;
+  try {
+    options = resolveScanOptions(req.body.options, req.user);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  if (!hasScanQuota(req.user)) {
+    return res.status(403).json({ error: 'Monthly scan quota exceeded' });
+  }
+  
+  try {
+    const { profileId } = req.body;
+    if (profileId && !(await ScanProfile.findForUser(profileId, req.user))) {
+      return res.status(400).json({ error: 'Unknown scan profile' });
+    }
+    
+    const settings = normalizeSettings({ maxDepth, maxPages, include, exclude, respectRobots });
+    const job = await jobQueue.enqueue('site', { url: target, settings, options, profileId }, {
+      user: req.user._id,
+      project: req.project ? req.project._id : null
+    });
+    
+    res.status(202)
+      .location(`/api/scan/jobs/${job._id}`)
+      .json({
+        id: job._id,
+        type: job.type,
+        status: job.status,
+        settings,
+        options,
+        createdAt: job.createdAt
+      });
+  } catch (err) {
+    console.error('Site scan enqueue error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/sites[?projectId=<id>]
+router.get('/', requireScope('history:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const query = req.project ? { project: req.project._id } : { user: req.user._id };
+    
+    const siteScans = await SiteScan.find(query)
+      .select('-commonIssues -skipped')
+      .sort({ createdAt: -1 })
+      .limit(50);
+    res.json(siteScans);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET a site scan with a summary of each page
+router.get('/:id',
+  requireScope('history:read'),
+  requireRole('viewer', req => SiteScan.findById(req.params.id)
+    .populate('pages', 'url documentTitle score createdAt'), { notFound: 'Site scan not found' }),
+  (req, res) => {
+    res.json(req.resource);
+  }
+);
+
+// GET /api/sites/:id/export?format=html|pdf|csv|sarif
+// Report covering the issues of every crawled page
+router.get('/:id/export',
+  requireScope('history:read'),
+  requireRole('viewer', req => SiteScan.findById(req.params.id)
+    .populate('pages', 'url pageUrl documentTitle issues')
+    .lean(), { notFound: 'Site scan not found' }),
+  async (req, res) => {
+    try {
+      // A repeated ?format= arrives as an array
+      const requested = req.query.format || 'html';
+      const format = typeof requested === 'string' ? requested.toLowerCase() : null;
+      if (!format || !Object.hasOwn(FORMATS, format)) {
+        return res.status(400).json({ error: `format must be one of ${Object.keys(FORMATS).join(', ')}` });
+      }
+      
+      const { body, contentType, filename } = await renderReport(req.resource, format);
+      res.type(contentType).attachment(filename).send(body);
+    } catch (err) {
+      console.error('Site scan export error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const IssueTriage = require('./models/IssueTriage');
+const ScanResult = require('./models/ScanResult');
+const Organization = require('./models/Organization');
+const Project = require('./models/Project');
+const { fingerprintIssue } = require('./services/fingerprint');
+const { normalizeTargetUrl } = require('./services/urlPolicy');
+const authMiddleware = require('./middleware/authMiddleware');
+const { requireScope } = authMiddleware;
+const { checkAccess, requireRole, requireProjectRole } = require('./middleware/roleMiddleware');
+
+const MAX_LIST_SIZE = 500;
+
+function serializeTriage(entry, { withHistory = false } = {}) {
+  return {
+    id: entry._id,
+    fingerprint: entry.fingerprint,
+    url: entry.url,
+    status: entry.status,
+    assignee: entry.assignee,
+    note: entry.note,
+    suppressed: IssueTriage.SUPPRESSED_STATUSES.includes(entry.status),
+    issue: entry.issue,
+    project: entry.project,
+    createdBy: entry.user,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+    history: withHistory ? entry.history : undefined
+  };
+}
+
+// Entries are keyed by the URL as scans store it, so "https://a.com" and
+// "https://a.com/" are the same entry. Throws on anything but a string.
+function parseTriageUrl(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') throw new Error('url must be a string');
+  return normalizeTargetUrl(value).toString();
+}
+
+// Work out which fingerprint and scope a request is about: either an issue
+// of a stored scan (`scanId` and `issueIndex`, with `scope` "url", the
+// default, or "project"), or a `fingerprint` with an optional `url` in the
+// project given by `projectId`. Returns null after responding with an error.
+async function resolveTarget(req, res) {
+  const { scanId, issueIndex, scope = 'url' } = req.body;
+  
+  if (scanId === undefined) {
+    if (typeof req.body.fingerprint !== 'string' || !/^[0-9a-f]{40}$/.test(req.body.fingerprint)) {
+      res.status(400).json({ error: 'Provide scanId and issueIndex, or a fingerprint' });
+      return null;
+    }
+    let url;
+    try {
+      url = parseTriageUrl(req.body.url);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+      return null;
+    }
+    return {
+      fingerprint: req.body.fingerprint,
+      url,
+      project: req.project ? req.project._id : null,
+      issue: undefined
+    };
+  }
+  
+  if (!mongoose.isValidObjectId(scanId)) {
+    res.status(400).json({ error: 'Invalid scanId' });
+    return null;
+  }
+  if (!['url', 'project'].includes(scope)) {
+    res.status(400).json({ error: 'scope must be url or project' });
+    return null;
+  }
+  
+  const scan = await ScanResult.findById(scanId).select('url issues user project').lean();
+  if (!scan) {
+    res.status(404).json({ error: 'Scan not found' });
+    return null;
+  }
+  const denied = await checkAccess(req, scan, 'member');
+  if (denied) {
+    res.status(denied.status).json({ error: denied.error });
+    return null;
+  }
+  
+  const issue = Number.isInteger(issueIndex) ? scan.issues[issueIndex] : undefined;
+  if (!issue) {
+    res.status(400).json({ error: `issueIndex must be between 0 and ${scan.issues.length - 1}` });
+    return null;
+  }
+  
+  return {
+    fingerprint: fingerprintIssue(issue),
+    // Uploads have no URL, so their entries cover the whole scope
+    url: scope === 'url' ? scan.url || null : null,
+    project: scan.project || null,
+    issue: {
+      code: issue.code,
+      type: issue.type,
+      message: issue.message,
+      selector: issue.selector,
+      context: issue.context
+    }
+  };
+}
+
+// The assignee must be able to see the scans: a member of the project's
+// organization, or the user themselves for personal scans
+async function checkAssignee(assigneeId, project, user) {
+  if (!mongoose.isValidObjectId(assigneeId)) return false;
+  if (!project) return assigneeId.toString() === user._id.toString();
+  
+  const projectDoc = await Project.findById(project).select('organization');
+  const organization = projectDoc && await Organization.findById(projectDoc.organization).select('members');
+  return Boolean(organization && organization.roleOf(assigneeId));
+}
+
+// Triage can be read with an API key's history:read scope and changed with triage:write
+router.use(authMiddleware.required);
+
+// GET /api/triage[?projectId=<id>][&status=<status>][&url=<url>][&fingerprint=<hash>]
+// Triage entries of a project, or of the user's personal scans, most recently changed first
+router.get('/', requireScope('history:read'), requireProjectRole('viewer'), async (req, res) => {
+  const query = req.project ? { project: req.project._id } : { user: req.user._id, project: null };
+  
+  const { status, url, fingerprint } = req.query;
+  if (status !== undefined) {
+    if (!IssueTriage.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${IssueTriage.STATUSES.join(', ')}` });
+    }
+    query.status = status;
+  }
+  if (url !== undefined) {
+    try {
+      query.url = parseTriageUrl(url);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+  if (fingerprint !== undefined) query.fingerprint = String(fingerprint);
+  
+  try {
+    const entries = await IssueTriage.find(query)
+      .select('-history')
+      .sort({ updatedAt: -1 })
+      .limit(MAX_LIST_SIZE);
+    res.json(entries.map(entry => serializeTriage(entry)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/triage
+// Set the status of an issue fingerprint. Body: the issue (see resolveTarget),
+// `status`, `assigneeId` when the status is "assigned", and an optional
+// `note`. Scans run afterwards carry the status on matching issues.
+router.put('/', requireScope('triage:write'), requireProjectRole('member'), async (req, res) => {
+  const { status, assigneeId, note } = req.body;
+  if (!IssueTriage.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${IssueTriage.STATUSES.join(', ')}` });
+  }
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 2000)) {
+    return res.status(400).json({ error: 'note must be a string of at most 2000 characters' });
+  }
+  if ((status === 'assigned') !== Boolean(assigneeId)) {
+    return res.status(400).json({ error: 'assigneeId is required with the assigned status, and only with it' });
+  }
+  
+  try {
+    const target = await resolveTarget(req, res);
+    if (!target) return;
+    
+    if (assigneeId && !(await checkAssignee(assigneeId, target.project, req.user))) {
+      return res.status(400).json({ error: 'The assignee must have access to the scans' });
+    }
+    
+    const scopeQuery = target.project ? { project: target.project } : { user: req.user._id, project: null };
+    const filter = { ...scopeQuery, fingerprint: target.fingerprint, url: target.url };
+    
+    // A missing note keeps the current one; null or "" removes it
+    const now = new Date();
+    const change = { status, assignee: assigneeId || null };
+    if (note !== undefined) change.note = note || undefined;
+    const update = {
+      $set: { status: change.status, assignee: change.assignee, updatedAt: now },
+      $push: { history: { ...change, changedBy: req.user._id, changedAt: now } },
+      $setOnInsert: { user: req.user._id, createdAt: now }
+    };
+    if (target.issue) update.$setOnInsert.issue = target.issue;
+    if (note !== undefined) {
+      if (note) update.$set.note = note;
+      else update.$unset = { note: 1 };
+    }
+    
+    // One atomic upsert, backed by the unique indexes of the model, so
+    // concurrent requests can't create two entries for the same fingerprint.
+    // The request that loses an insert race updates the winner's entry.
+    const upsert = () => IssueTriage.findOneAndUpdate(filter, update, {
+      upsert: true,
+      new: true,
+      runValidators: true,
+      includeResultMetadata: true
+    });
+    let result;
+    try {
+      result = await upsert();
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      result = await upsert();
+    }
+    
+    let entry = result.value;
+    const created = !result.lastErrorObject.updatedExisting;
+    // Entries created from a bare fingerprint learn what the issue looks like
+    if (!created && target.issue && !(entry.issue && entry.issue.code)) {
+      entry = await IssueTriage.findByIdAndUpdate(entry._id, { $set: { issue: target.issue } }, { new: true });
+    }
+    
+    res.status(created ? 201 : 200).json(serializeTriage(entry, { withHistory: true }));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/triage/:id
+// One entry with its full history of changes
+router.get('/:id',
+  requireScope('history:read'),
+  requireRole('viewer', req => IssueTriage.findById(req.params.id), { notFound: 'Triage entry not found' }),
+  (req, res) => {
+    res.json(serializeTriage(req.resource, { withHistory: true }));
+  }
+);
+
+module.exports = router;
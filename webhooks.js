@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Webhook = require('./models/Webhook');
+const WebhookDelivery = require('./models/WebhookDelivery');
+const { encrypt } = require('./services/secrets');
+const { generateSecret, sendTestEvent, redeliver } = require('./services/webhooks');
+const { loadUrlPolicy, checkTargetUrl } = require('./services/urlPolicy');
+const authMiddleware = require('./middleware/authMiddleware');
+const { sessionOnly } = authMiddleware;
+const { requireRole, requireProjectRole } = require('./middleware/roleMiddleware');
+
+// Webhooks are managed from a login session; project webhooks need the admin role
+router.use(authMiddleware.required, sessionOnly);
+
+// Never includes the secret
+function serializeWebhook(webhook) {
+  return {
+    id: webhook._id,
+    url: webhook.url,
+    description: webhook.description,
+    events: webhook.events,
+    format: webhook.format,
+    enabled: webhook.enabled,
+    project: webhook.project,
+    createdAt: webhook.createdAt
+  };
+}
+
+function serializeDelivery(delivery) {
+  return {
+    id: delivery._id,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+    deliveredAt: delivery.deliveredAt,
+    redeliveryOf: delivery.redeliveryOf,
+    payload: delivery.payload,
+    createdAt: delivery.createdAt
+  };
+}
+
+// Pick and validate the editable fields of a request body. The url must pass
+// the URL policy of `project`, like a scan target, so webhooks can't reach
+// internal addresses.
+async function parseWebhookInput(body, project) {
+  const fields = {};
+  
+  if (body.url !== undefined) {
+    fields.url = await checkTargetUrl(body.url, await loadUrlPolicy(project));
+  }
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events) || !body.events.length || body.events.some(e => !Webhook.EVENTS.includes(e))) {
+      throw new Error(`events must be a list of ${Webhook.EVENTS.join(', ')}`);
+    }
+    fields.events = [...new Set(body.events)];
+  }
+  if (body.format !== undefined) {
+    if (!['json', 'slack'].includes(body.format)) throw new Error('format must be json or slack');
+    fields.format = body.format;
+  }
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.enabled !== undefined) fields.enabled = Boolean(body.enabled);
+  
+  return fields;
+}
+
+const loadWebhook = req => Webhook.findById(req.params.id);
+
+// GET /api/webhooks[?projectId=<id>]
+router.get('/', requireProjectRole('admin'), async (req, res) => {
+  try {
+    const query = req.project ? { project: req.project._id } : { user: req.user._id, project: null };
+    const webhooks = await Webhook.find(query).sort({ createdAt: -1 });
+    res.json(webhooks.map(serializeWebhook));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/webhooks - the response is the only time the signing secret is shown
+router.post('/', requireProjectRole('admin'), async (req, res) => {
+  if (!req.body.url || !req.body.events) {
+    return res.status(400).json({ error: 'Missing url or events' });
+  }
+  
+  let fields;
+  try {
+    fields = await parseWebhookInput(req.body, req.project);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  try {
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+      ...fields,
+      secret: encrypt(secret),
+      user: req.user._id,
+      project: req.project ? req.project._id : null
+    });
+    res.status(201).json({ ...serializeWebhook(webhook), secret });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET a webhook
+router.get('/:id', requireRole('admin', loadWebhook, { notFound: 'Webhook not found' }), (req, res) => {
+  res.json(serializeWebhook(req.resource));
+});
+
+// PATCH a webhook's url, events, format, description or enabled flag
+router.patch('/:id', requireRole('admin', loadWebhook, { notFound: 'Webhook not found' }), async (req, res) => {
+  let fields;
+  try {
+    fields = await parseWebhookInput(req.body, req.resource.project);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  try {
+    req.resource.set(fields);
+    await req.resource.save();
+    res.json(serializeWebhook(req.resource));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE a webhook and its delivery log
+router.delete('/:id', requireRole('admin', loadWebhook, { notFound: 'Webhook not found' }), async (req, res) => {
+  try {
+    await WebhookDelivery.deleteMany({ webhook: req.resource._id });
+    await req.resource.deleteOne();
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/webhooks/:id/rotate-secret - the old secret stops working at once
+router.post('/:id/rotate-secret', requireRole('admin', loadWebhook, { notFound: 'Webhook not found' }), async (req, res) => {
+  try {
+    const secret = generateSecret();
+    req.resource.secret = encrypt(secret);
+    await req.resource.save();
+    res.json({ ...serializeWebhook(req.resource), secret });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/webhooks/:id/test - send a "ping" event now and return the delivery
+router.post('/:id/test', requireRole('admin', loadWebhook, { notFound: 'Webhook not found' }), async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.resource);
+    res.json(serializeDelivery(delivery));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/webhooks/:id/deliveries[?status=failed] - most recent first
+router.get('/:id/deliveries', requireRole('admin', loadWebhook, { notFound: 'Webhook not found' }), async (req, res) => {
+  try {
+    const query = { webhook: req.resource._id };
+    if (req.query.status) query.status = req.query.status;
+    
+    const deliveries = await WebhookDelivery.find(query).sort({ createdAt: -1 }).limit(50);
+    res.json(deliveries.map(serializeDelivery));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+router.post('/:id/deliveries/:deliveryId/redeliver', requireRole('admin', loadWebhook, { notFound: 'Webhook not found' }), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.deliveryId)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.resource._id });
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    
+    const copy = await redeliver(delivery);
+    res.status(201).json(serializeDelivery(copy));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;